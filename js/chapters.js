@@ -0,0 +1,236 @@
+/* ============================================
+   CHAPTERS
+   Group slides into chapters by their section
+   label: segmented progress, chapter keys and
+   a clickable agenda
+   ============================================ */
+
+/*
+   A slide's chapter is its data-chapter attribute (@chapter in a Markdown
+   deck), else its .slide-section-label up to any " - " subtitle, so
+   "Identity - The Search for Legitimacy" belongs to "Identity". Title
+   slides only start a chapter with data-chapter. Consecutive slides with
+   the same name form one chapter, and a slide without one carries on the
+   chapter before it; slides ahead of the first chapter aren't in any.
+
+   Set data-chapter on a slide whose label is a heading of its own rather
+   than a new chapter ("The Orchestrator" within "Definition").
+*/
+
+class ChapterNav {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.chapters = ChapterNav.parse(presentation.slides);  // [{ title, start, end }]
+        this.isOpen = false;
+        this.el = null;
+        this.track = null;
+        this.returnFocus = null;
+
+        this._buildTrack();
+        this.update();
+    }
+
+    static chapterName(slide) {
+        if (slide.dataset.chapter !== undefined) return slide.dataset.chapter.trim() || null;
+        if (slide.classList.contains('title-slide')) return null;
+
+        const label = slide.querySelector('.slide-section-label');
+        if (!label) return null;
+        return label.textContent.split(/\s+[-–—]\s+/)[0].trim() || null;
+    }
+
+    // Chapters in slide order, with the first and last slide index of each
+    static parse(slides) {
+        const chapters = [];
+        slides.forEach((slide, i) => {
+            const name = ChapterNav.chapterName(slide);
+            const current = chapters[chapters.length - 1];
+            if (name && (!current || current.title !== name)) {
+                chapters.push({ title: name, start: i, end: i });
+            } else if (current) {
+                current.end = i;
+            }
+        });
+        return chapters;
+    }
+
+    // Index of the chapter holding slide `index`, or -1 before the first one
+    indexOf(index) {
+        for (let i = this.chapters.length - 1; i >= 0; i--) {
+            if (this.chapters[i].start <= index) return i;
+        }
+        return -1;
+    }
+
+    get current() {
+        return this.chapters[this.indexOf(this.pres.currentSlide)] || null;
+    }
+
+    static range(chapter) {
+        return chapter.start === chapter.end
+            ? `Slide ${chapter.start + 1}`
+            : `Slides ${chapter.start + 1}–${chapter.end + 1}`;
+    }
+
+    // --- Navigation ---
+
+    next() {
+        const target = this.chapters[this.indexOf(this.pres.currentSlide) + 1];
+        if (target) this.pres.goTo(target.start);
+    }
+
+    // Back to the start of this chapter, or the previous one from its first slide
+    prev() {
+        const i = this.indexOf(this.pres.currentSlide);
+        if (i < 0) return;
+        const chapter = this.chapters[i];
+        if (this.pres.currentSlide > chapter.start) {
+            this.pres.goTo(chapter.start);
+        } else if (i > 0) {
+            this.pres.goTo(this.chapters[i - 1].start);
+        }
+    }
+
+    // Called by Presentation._updateCounter after every slide or fragment change
+    update() {
+        const current = this.indexOf(this.pres.currentSlide);
+        const name = document.getElementById('chapter-name');
+        if (name) name.textContent = current >= 0 ? this.chapters[current].title : '';
+
+        if (this.track) {
+            this.track.querySelectorAll('.progress-chapter').forEach(seg => {
+                seg.classList.toggle('current', Number(seg.dataset.chapter) === current);
+            });
+        }
+    }
+
+    // --- Segmented progress bar ---
+
+    // One segment per chapter behind #progress-bar, as wide as its share of
+    // the steps the bar counts (slides plus fragments)
+    _buildTrack() {
+        if (this.chapters.length === 0) return;
+        const steps = (start, end) => {
+            let n = 0;
+            for (let i = start; i <= end; i++) n += this.pres.fragments[i].length + 1;
+            return n;
+        };
+
+        const track = document.createElement('div');
+        track.id = 'progress-chapters';
+        track.setAttribute('aria-hidden', 'true');
+
+        const segment = (title, start, end, index) => {
+            const seg = document.createElement('div');
+            seg.className = 'progress-chapter';
+            seg.style.flexGrow = steps(start, end);
+            seg.dataset.chapter = index;
+            if (title) seg.title = title;
+            track.appendChild(seg);
+        };
+        if (this.chapters[0].start > 0) segment(null, 0, this.chapters[0].start - 1, -1);
+        this.chapters.forEach((c, i) => segment(c.title, c.start, c.end, i));
+
+        const bar = document.getElementById('progress-bar');
+        document.body.insertBefore(track, bar ? bar.nextSibling : document.body.firstChild);
+        this.track = track;
+    }
+
+    // --- Agenda ---
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen || this.chapters.length === 0) return;
+        this.isOpen = true;
+        this.returnFocus = document.activeElement;
+
+        this._build();
+        document.body.appendChild(this.el);
+        const current = this.el.querySelector('[aria-current="true"]') || this.el.querySelector('.agenda-item');
+        current.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.el.remove();
+        this.el = null;
+
+        if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    // Jump to a chapter's first slide and leave the agenda
+    choose(index) {
+        this.close();
+        this.pres.goTo(this.chapters[index].start);
+    }
+
+    // The agenda is modal: arrows move between chapters, Tab stays inside
+    handleKey(e) {
+        if (e.key === 'Tab') {
+            this.pres._trapFocus(this.el, e);
+            return;
+        }
+
+        const items = Array.from(this.el.querySelectorAll('.agenda-item'));
+        const idx = items.indexOf(document.activeElement);
+        const moves = { ArrowDown: idx + 1, ArrowUp: idx - 1, Home: 0, End: items.length - 1 };
+        if (moves[e.key] !== undefined) {
+            e.preventDefault();
+            const target = items[Math.max(0, Math.min(items.length - 1, moves[e.key]))];
+            target.focus();
+            return;
+        }
+
+        const action = this.pres.config.actionFor(e, false);
+        if (action === 'back' || action === 'agenda') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    _build() {
+        const el = document.createElement('div');
+        el.id = 'chapter-agenda';
+        el.innerHTML = `
+            <div class="agenda-content" role="dialog" aria-modal="true" aria-labelledby="agenda-title">
+                <h2 id="agenda-title">Agenda</h2>
+                <ol class="agenda-list"></ol>
+            </div>
+        `;
+
+        const current = this.indexOf(this.pres.currentSlide);
+        const list = el.querySelector('.agenda-list');
+        this.chapters.forEach((chapter, i) => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.className = 'agenda-item';
+            if (i === current) btn.setAttribute('aria-current', 'true');
+
+            const title = document.createElement('span');
+            title.className = 'agenda-title';
+            title.textContent = chapter.title;
+            const range = document.createElement('span');
+            range.className = 'agenda-range';
+            range.textContent = ChapterNav.range(chapter);
+
+            btn.append(title, range);
+            btn.addEventListener('click', () => this.choose(i));
+            li.appendChild(btn);
+            list.appendChild(li);
+        });
+
+        el.addEventListener('click', (e) => {
+            if (e.target === el) this.close();
+        });
+        this.el = el;
+    }
+}
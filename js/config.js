@@ -0,0 +1,288 @@
+/* ============================================
+   DECK CONFIG
+   Palette, tool widths and key bindings, with
+   per-deck settings and persisted user overrides
+   ============================================ */
+
+/*
+   Settings are layered, later layers winning:
+
+       built-in defaults (DeckConfig.defaults())
+       the deck's own settings: <script type="application/json" id="deck-config">
+       the user's overrides, saved in localStorage under config:<deck>
+
+   Shape of a config (any part may be left out of the deck or user layer):
+
+       { palette: ['#e63946', ...],
+         customColors: ['#ff8800'],   colours picked in the toolbar, after the palette
+         widths:  { pen: 3, highlighter: 22, text: 28, ... },
+         keys:    { next: ['ArrowRight', 'Space'], undo: ['Ctrl+Z'], ... } }
+
+   A key binding is a key name as reported by KeyboardEvent.key, optionally
+   prefixed with modifiers: 'Ctrl+', 'Alt+', 'Shift+' (Cmd counts as Ctrl).
+   Letters are case-insensitive and ' ' may be written 'Space'. Setting an
+   action's keys to [] disables it.
+*/
+
+class DeckConfig {
+    constructor(deckId) {
+        this.key = `config:${deckId}`;
+        this.problem = null;            // why #deck-config was ignored, shown with the help hint
+        this.deck = this._readDeckConfig();
+        this.user = this._readUserConfig();
+        this.extraActions = [];         // actions added at runtime (plugins)
+        this.extraKeys = {};            // their default keys
+        this.values = null;
+        this._merge();
+    }
+
+    static defaults() {
+        return {
+            palette: ['#e63946', '#457b9d', '#f4d35e', '#ffffff', '#2a9d8f'],
+            widths: {
+                pen: 3, circle: 3, arrow: 3, rect: 3, line: 3,
+                highlighter: 22, eraser: 24, text: 28, note: 20
+            },
+            keys: {
+                next:       ['ArrowRight', 'Space', 'PageDown'],
+                prev:       ['ArrowLeft', 'PageUp'],
+                overview:   ['O'],
+                nextChapter: [']', 'Shift+ArrowRight'],
+                prevChapter: ['[', 'Shift+ArrowLeft'],
+                agenda:     ['A'],
+                back:       ['Escape'],
+                fullscreen: ['F'],
+                presenter:  ['P'],
+                exportPng:  ['E'],
+                print:      ['Ctrl+P'],
+                laser:      ['L'],
+                rehearse:   ['R'],
+                record:     ['Shift+R'],
+                playSession: ['Shift+P'],
+                kiosk:      ['K'],
+                kioskPause: ['.', 'Pause'],
+                draw:       ['D'],
+                help:       ['H'],
+                images:     ['I'],
+                zoomIn:     ['+', '='],
+                zoomOut:    ['-'],
+                zoomReset:  ['0'],
+                pen:        ['1'],
+                circle:     ['2'],
+                arrow:      ['3'],
+                highlighter: ['4'],
+                eraser:     ['5'],
+                text:       ['6'],
+                rect:       ['7'],
+                line:       ['8'],
+                spotlight:  ['9'],
+                magnifier:  ['0'],
+                textSize:   ['S'],
+                cycleColor: ['C'],
+                undo:       ['Ctrl+Z'],
+                redo:       ['Ctrl+Shift+Z', 'Ctrl+Y'],
+                clear:      ['Ctrl+Delete']
+            }
+        };
+    }
+
+    // Help text for each action, in the order the help overlay lists them.
+    // drawOnly actions only respond in draw mode; nav ones only outside it.
+    static actions() {
+        return [
+            { id: 'next',        group: 'Slides',  nav: true,  desc: 'Next slide or reveal next item' },
+            { id: 'prev',        group: 'Slides',  nav: true,  desc: 'Previous slide or hide last item' },
+            { id: 'overview',    group: 'Slides',  nav: true,  desc: 'Slide overview' },
+            { id: 'nextChapter', group: 'Slides',  nav: true,  desc: 'Next chapter' },
+            { id: 'prevChapter', group: 'Slides',  nav: true,  desc: 'Start of this chapter, or the previous one' },
+            { id: 'agenda',      group: 'Slides',  nav: true,  desc: 'Agenda: jump to a chapter' },
+            { id: 'back',        group: 'Slides',              desc: 'Close help, exit draw mode, close an image, or open the overview' },
+            { id: 'fullscreen',  group: 'Slides',              desc: 'Toggle fullscreen' },
+            { id: 'presenter',   group: 'Slides',              desc: 'Open presenter view' },
+            { id: 'exportPng',   group: 'Slides',              desc: 'Export slides as PNG images' },
+            { id: 'print',       group: 'Slides',              desc: 'Print / save PDF handout' },
+            { id: 'laser',       group: 'Slides',              desc: 'Toggle laser pointer' },
+            { id: 'rehearse',    group: 'Slides',              desc: 'Start / finish a timed rehearsal' },
+            { id: 'record',      group: 'Slides',              desc: 'Start / stop recording the talk as a session file' },
+            { id: 'playSession', group: 'Slides',              desc: 'Play back a session file (pick its audio too, if any)' },
+            { id: 'kiosk',       group: 'Slides',              desc: 'Kiosk mode: advance on a timer and loop' },
+            { id: 'kioskPause',  group: 'Slides',              desc: 'Pause / resume kiosk mode' },
+            { id: 'help',        group: 'Slides',              desc: 'Toggle this help' },
+            { id: 'images',      group: 'Images',              desc: 'Focus the next image on the slide (Enter enlarges it)' },
+            { id: 'zoomIn',      group: 'Images',  nav: true,  desc: 'Zoom in on the enlarged image (or scroll)' },
+            { id: 'zoomOut',     group: 'Images',  nav: true,  desc: 'Zoom out' },
+            { id: 'zoomReset',   group: 'Images',  nav: true,  desc: 'Fit the image to the window again' },
+            { id: 'draw',        group: 'Drawing',             desc: 'Toggle draw mode' },
+            { id: 'pen',         group: 'Drawing', drawOnly: true, desc: 'Pen' },
+            { id: 'circle',      group: 'Drawing', drawOnly: true, desc: 'Circle (Shift for a true circle)' },
+            { id: 'arrow',       group: 'Drawing', drawOnly: true, desc: 'Arrow (Shift snaps to 45°)' },
+            { id: 'highlighter', group: 'Drawing', drawOnly: true, desc: 'Highlighter' },
+            { id: 'eraser',      group: 'Drawing', drawOnly: true, desc: 'Eraser' },
+            { id: 'text',        group: 'Drawing', drawOnly: true, desc: 'Text (press again for sticky note) · Enter to place' },
+            { id: 'rect',        group: 'Drawing', drawOnly: true, desc: 'Rectangle (Shift for a square)' },
+            { id: 'line',        group: 'Drawing', drawOnly: true, desc: 'Line (Shift snaps to 45°)' },
+            { id: 'spotlight',   group: 'Drawing', drawOnly: true, desc: 'Spotlight (scroll to resize)' },
+            { id: 'magnifier',   group: 'Drawing', drawOnly: true, desc: 'Magnifier (scroll to resize)' },
+            { id: 'textSize',    group: 'Drawing', drawOnly: true, desc: 'Cycle text size' },
+            { id: 'cycleColor',  group: 'Drawing', drawOnly: true, desc: 'Cycle drawing colour' },
+            { id: 'undo',        group: 'Drawing', drawOnly: true, desc: 'Undo last stroke or clear (two-finger tap)' },
+            { id: 'redo',        group: 'Drawing', drawOnly: true, desc: 'Redo' },
+            { id: 'clear',       group: 'Drawing', drawOnly: true, desc: 'Clear current slide' }
+        ];
+    }
+
+    // Built-in actions followed by any added with addAction()
+    actions() {
+        return DeckConfig.actions().concat(this.extraActions);
+    }
+
+    // Register a new action with its default keys; deck and user settings
+    // can still rebind it like any other
+    addAction(action, keys = []) {
+        this.extraActions = this.extraActions.filter(a => a.id !== action.id).concat(action);
+        this.extraKeys[action.id] = keys;
+        this._merge();
+    }
+
+    get palette() { return this.values.palette; }
+    get widths() { return this.values.widths; }
+    get keys() { return this.values.keys; }
+
+    // --- Key bindings ---
+
+    // Action bound to a keydown event, or null. Actions that only apply in
+    // (or out of) draw mode are skipped, so one key can serve both.
+    actionFor(e, drawMode) {
+        const match = combo => this.actions().find(a => {
+            if (a.drawOnly && !drawMode) return false;
+            if (a.nav && drawMode) return false;
+            return (this.keys[a.id] || []).some(k => DeckConfig.normaliseCombo(k) === combo);
+        });
+
+        // Shift+H still means H unless something is bound to Shift+H itself
+        const action = match(DeckConfig.eventCombo(e, true)) ||
+            (e.shiftKey ? match(DeckConfig.eventCombo(e, false)) : null);
+        return action ? action.id : null;
+    }
+
+    static eventCombo(e, withShift) {
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+
+        // Shift is part of symbols like '?' already, so it only counts for letters and named keys
+        if (withShift && e.shiftKey && (e.key.length > 1 || /^[a-z]$/i.test(e.key))) parts.push('Shift');
+        parts.push(DeckConfig._keyName(e.key));
+        return parts.join('+');
+    }
+
+    // 'ctrl+shift+z' -> 'Ctrl+Shift+Z', with modifiers in a fixed order
+    static normaliseCombo(combo) {
+        // The '+' key itself ('+', 'Ctrl++') would otherwise split into nothing
+        const plus = combo.endsWith('+');
+        const parts = (plus ? combo.slice(0, -1) : combo).split('+');
+        const key = plus ? '+' : parts.pop();
+        if (plus) parts.pop();
+        const mods = parts.map(p => p.toLowerCase());
+        const out = [];
+        if (mods.includes('ctrl') || mods.includes('cmd') || mods.includes('meta')) out.push('Ctrl');
+        if (mods.includes('alt')) out.push('Alt');
+        if (mods.includes('shift')) out.push('Shift');
+        out.push(DeckConfig._keyName(key));
+        return out.join('+');
+    }
+
+    static _keyName(key) {
+        if (key === ' ' || key.toLowerCase() === 'space') return 'Space';
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    // Readable label for the help overlay and tooltips
+    static label(combo) {
+        const names = {
+            ArrowRight: '→', ArrowLeft: '←', ArrowUp: '↑', ArrowDown: '↓',
+            PageDown: 'PgDn', PageUp: 'PgUp', Escape: 'Esc', Delete: 'Del'
+        };
+        return DeckConfig.normaliseCombo(combo)
+            .split('+')
+            .map(p => names[p] || p)
+            .join('+');
+    }
+
+    // First key bound to an action, as a label ('' if unbound)
+    keyLabel(action) {
+        const keys = this.keys[action] || [];
+        return keys.length ? DeckConfig.label(keys[0]) : '';
+    }
+
+    // --- User overrides ---
+
+    // Override one setting, e.g. set('widths.pen', 5) or set('keys.laser', ['K'])
+    set(path, value) {
+        const parts = path.split('.');
+        let target = this.user;
+        parts.slice(0, -1).forEach(p => {
+            if (!target[p] || typeof target[p] !== 'object') target[p] = {};
+            target = target[p];
+        });
+        target[parts[parts.length - 1]] = value;
+        this._saveUserConfig();
+        this._merge();
+    }
+
+    // Add a colour from the toolbar picker; only the last few are kept
+    addColor(color) {
+        if (this.palette.includes(color)) return;
+        const custom = (this.user.customColors || []).concat(color).slice(-3);
+        this.set('customColors', custom);
+    }
+
+    // Drop every user override and fall back to the deck's settings
+    reset() {
+        this.user = {};
+        LocalData.remove(this.key);
+        this._merge();
+    }
+
+    _merge() {
+        const base = DeckConfig.defaults();
+        const layers = [this.deck, this.user];
+        const values = {
+            palette: base.palette.slice(),
+            widths: { ...base.widths },
+            keys: { ...this.extraKeys, ...base.keys }
+        };
+
+        layers.forEach(layer => {
+            if (Array.isArray(layer.palette) && layer.palette.length > 0) values.palette = layer.palette.slice();
+            if (layer.widths) Object.assign(values.widths, layer.widths);
+            if (layer.keys) Object.assign(values.keys, layer.keys);
+        });
+
+        (this.user.customColors || []).forEach(c => {
+            if (!values.palette.includes(c)) values.palette.push(c);
+        });
+
+        this.values = values;
+    }
+
+    _readDeckConfig() {
+        const el = document.getElementById('deck-config');
+        if (!el) return {};
+        try {
+            return JSON.parse(el.textContent) || {};
+        } catch (err) {
+            this.problem = `Deck settings ignored: ${err.message}`;
+            return {};
+        }
+    }
+
+    _readUserConfig() {
+        const user = LocalData.read(this.key);
+        return user && typeof user === 'object' ? user : {};
+    }
+
+    _saveUserConfig() {
+        LocalData.write(this.key, this.user);
+    }
+}
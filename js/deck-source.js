@@ -0,0 +1,417 @@
+/* ============================================
+   DECK SOURCE
+   Build slide sections from a Markdown or JSON
+   file instead of hand-written HTML
+   ============================================ */
+
+/*
+   Where the slides come from, in order of preference:
+
+       index.html?deck=decks/talk.md          URL parameter
+       <div id="presentation" data-src="...">  attribute on the container
+       <script type="text/markdown" id="deck-source">  inline source
+       the <section class="slide"> elements already in the page
+
+   Markdown format
+   ---------------
+   An optional metadata block between two "---" lines opens the file
+   (title, deck, duration, size). After it, slides are separated by a line
+   containing only "---". Inside a slide:
+
+       @layout title | split | end   slide arrangement (words can be combined)
+       @label Identity               small section label above the title
+       @subtitle / @author           title-slide lines
+       @image left                   put the image column first in a split
+       @images grid                  lay out images as a 2x2 grid
+       @class name                   extra class on the section
+       @transition zoom              how this slide arrives (see transitions.js)
+       @chapter Definition           chapter, where the label isn't it (see chapters.js)
+       @anything value               becomes data-anything="value"
+
+       # Title                       slide title
+       > Quoted text                 .slide-quote
+       > -- Attribution              .slide-quote-attr
+       - List item                   .reflection-list item
+       ![alt](src)                   image (layout picked from the count)
+       plain lines                   paragraphs in .slide-body
+       ???                           everything below is speaker notes
+
+   Inline: **key term**, *emphasis*, _italic_, [link](url).
+   Append {.fragment} to a list item, image or paragraph to reveal it
+   step by step.
+
+   JSON format
+   -----------
+   The same model the Markdown parser produces:
+
+       { "meta": { "title", "deck", "duration", "size" },
+         "slides": [ { "layout": ["split"], "label", "title", "subtitle",
+                       "author", "classes": [], "data": {}, "imageSide",
+                       "imageGrid", "notes",
+                       "blocks": [ { "type": "quote", "text", "attribution" },
+                                   { "type": "body", "items": [
+                                       { "type": "p", "text", "fragment" },
+                                       { "type": "list", "items": [{ "text", "fragment" }] } ] },
+                                   { "type": "images", "images": [{ "src", "alt", "fragment" }] } ] } ] }
+*/
+
+class DeckSource {
+    // Replace the container's slides from the configured source, if any
+    static async load(container) {
+        if (!container) return;
+
+        const params = new URLSearchParams(location.search);
+        const src = params.get('deck') || container.dataset.src;
+        const inline = document.getElementById('deck-source');
+
+        let deck = null;
+        if (src) {
+            const res = await fetch(src);
+            if (!res.ok) throw new Error(`Could not load ${src} (${res.status})`);
+            const text = await res.text();
+            deck = /\.json$/i.test(src) ? JSON.parse(text) : DeckSource.parseMarkdown(text);
+            deck.meta = deck.meta || {};
+            if (!deck.meta.deck) deck.meta.deck = src.replace(/^.*\//, '').replace(/\.\w+$/, '');
+        } else if (inline) {
+            deck = inline.type === 'application/json'
+                ? JSON.parse(inline.textContent)
+                : DeckSource.parseMarkdown(inline.textContent);
+        }
+
+        if (deck) {
+            // The presentation needs at least one slide to show
+            if (!Array.isArray(deck.slides) || deck.slides.length === 0) {
+                throw new Error(`${src || 'The inline deck'} has no slides`);
+            }
+            DeckSource.build(deck, container);
+            container.dataset.source = src || 'inline';
+        }
+    }
+
+    // Show a single slide explaining why the deck couldn't be built
+    static showError(container, err) {
+        container.dataset.source = 'error';
+        DeckSource.build({
+            meta: {},
+            slides: [{
+                label: 'Deck error',
+                title: 'This deck could not be loaded',
+                blocks: [{ type: 'body', items: [{ type: 'p', text: err.message }] }]
+            }]
+        }, container);
+    }
+
+    // --- Markdown -> model ---
+
+    static parseMarkdown(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const meta = {};
+
+        // Leading metadata block
+        if (lines[0] && lines[0].trim() === '---') {
+            const end = lines.indexOf('---', 1);
+            if (end > 0) {
+                lines.slice(1, end).forEach(line => {
+                    const m = line.match(/^(\w[\w-]*)\s*:\s*(.*)$/);
+                    if (m) meta[m[1]] = m[2].trim();
+                });
+                lines.splice(0, end + 1);
+            }
+        }
+
+        const chunks = [[]];
+        lines.forEach(line => {
+            if (line.trim() === '---') {
+                chunks.push([]);
+            } else {
+                chunks[chunks.length - 1].push(line);
+            }
+        });
+
+        const slides = chunks
+            .filter(chunk => chunk.some(line => line.trim()))
+            .map(chunk => DeckSource.parseSlide(chunk));
+
+        return { meta, slides };
+    }
+
+    static parseSlide(lines) {
+        const slide = { layout: [], classes: [], data: {}, blocks: [], notes: '' };
+        const FRAGMENT = /\s*\{\.fragment\}\s*$/;
+
+        const notesAt = lines.findIndex(line => line.trim() === '???');
+        if (notesAt >= 0) {
+            slide.notes = lines.slice(notesAt + 1).join('\n').trim();
+            lines = lines.slice(0, notesAt);
+        }
+
+        let paragraph = [];
+        let quote = null;
+
+        const last = () => slide.blocks[slide.blocks.length - 1];
+        const body = () => {
+            if (!last() || last().type !== 'body') slide.blocks.push({ type: 'body', items: [] });
+            return last();
+        };
+        const flushParagraph = () => {
+            if (paragraph.length === 0) return;
+            const text = paragraph.join(' ');
+            body().items.push({ type: 'p', text: text.replace(FRAGMENT, ''), fragment: FRAGMENT.test(text) });
+            paragraph = [];
+        };
+        const flushQuote = () => {
+            if (quote) slide.blocks.push(quote);
+            quote = null;
+        };
+
+        lines.forEach(raw => {
+            const line = raw.trim();
+            let m;
+
+            if (!line) {
+                flushParagraph();
+                flushQuote();
+                return;
+            }
+
+            if ((m = line.match(/^@([\w-]+)\s*(.*)$/))) {
+                flushParagraph();
+                DeckSource._directive(slide, m[1], m[2].trim());
+                return;
+            }
+
+            if ((m = line.match(/^#{1,6}\s+(.*)$/))) {
+                flushParagraph();
+                flushQuote();
+                slide.title = m[1];
+                return;
+            }
+
+            if ((m = line.match(/^>\s?(.*)$/))) {
+                flushParagraph();
+                const attr = m[1].match(/^(?:--|—)\s*(.*)$/);
+                if (!quote) quote = { type: 'quote', text: '', attribution: '' };
+                if (attr) {
+                    quote.attribution = attr[1];
+                } else {
+                    quote.text = (quote.text + ' ' + m[1]).trim();
+                }
+                return;
+            }
+            flushQuote();
+
+            if ((m = line.match(/^[-*+]\s+(.*)$/))) {
+                flushParagraph();
+                const items = body().items;
+                let list = items[items.length - 1];
+                if (!list || list.type !== 'list') {
+                    list = { type: 'list', items: [] };
+                    items.push(list);
+                }
+                list.items.push({ text: m[1].replace(FRAGMENT, ''), fragment: FRAGMENT.test(m[1]) });
+                return;
+            }
+
+            if (/^(!\[[^\]]*\]\([^)]*\)(\{\.fragment\})?\s*)+$/.test(line)) {
+                flushParagraph();
+                if (!last() || last().type !== 'images') slide.blocks.push({ type: 'images', images: [] });
+                const re = /!\[([^\]]*)\]\(([^)]*)\)(\{\.fragment\})?/g;
+                while ((m = re.exec(line))) {
+                    last().images.push({ alt: m[1], src: m[2].trim(), fragment: !!m[3] });
+                }
+                return;
+            }
+
+            paragraph.push(line);
+        });
+
+        flushParagraph();
+        flushQuote();
+        return slide;
+    }
+
+    static _directive(slide, name, value) {
+        switch (name) {
+            case 'layout':
+                slide.layout = value.split(/\s+/).filter(Boolean);
+                break;
+            case 'label':
+            case 'subtitle':
+            case 'author':
+                slide[name] = value;
+                break;
+            case 'class':
+                slide.classes.push(...value.split(/\s+/).filter(Boolean));
+                break;
+            case 'image':
+                slide.imageSide = value;
+                break;
+            case 'images':
+                slide.imageGrid = value === 'grid';
+                break;
+            default:
+                slide.data[name] = value;
+        }
+    }
+
+    // --- Model -> DOM ---
+
+    static build(deck, container) {
+        const meta = deck.meta || {};
+        if (meta.title) document.title = meta.title;
+        if (meta.deck) container.dataset.deck = meta.deck;
+        if (meta.duration) container.dataset.duration = meta.duration;
+        if (meta.size) {
+            // Virtual slide size, e.g. "1600x900" (see scaler.js)
+            const [width, height] = String(meta.size).split('x');
+            container.dataset.width = width;
+            container.dataset.height = height;
+        }
+
+        container.querySelectorAll('.slide').forEach(el => el.remove());
+        (deck.slides || []).forEach(slide => container.appendChild(DeckSource.buildSlide(slide)));
+    }
+
+    static buildSlide(slide) {
+        const layout = slide.layout || [];
+        const isTitle = layout.includes('title');
+
+        const section = DeckSource._el('section', 'slide');
+        if (isTitle) section.classList.add('title-slide');
+        if (layout.includes('end')) section.classList.add('end-slide');
+        (slide.classes || []).forEach(c => section.classList.add(c));
+        Object.entries(slide.data || {}).forEach(([k, v]) => { section.dataset[DeckSource._camel(k)] = v; });
+
+        const content = DeckSource._el('div', 'slide-content');
+        section.appendChild(content);
+
+        if (slide.label) content.appendChild(DeckSource._el('div', 'slide-section-label', slide.label));
+
+        if (isTitle) {
+            if (slide.title) content.appendChild(DeckSource._el('h1', 'slide-title', slide.title));
+            content.appendChild(DeckSource._el('div', 'title-divider'));
+            if (slide.subtitle) content.appendChild(DeckSource._el('div', 'slide-subtitle', slide.subtitle));
+            if (slide.author) content.appendChild(DeckSource._el('div', 'slide-author', slide.author));
+        } else {
+            if (slide.title) content.appendChild(DeckSource._el('h2', 'slide-title', slide.title));
+            if (slide.subtitle) content.appendChild(DeckSource._el('div', 'slide-subtitle', slide.subtitle));
+        }
+
+        const blocks = slide.blocks || [];
+        if (layout.includes('split')) {
+            const split = DeckSource._el('div', 'slide-split');
+            const text = DeckSource._el('div', 'split-text');
+            const image = DeckSource._el('div', 'split-image');
+
+            blocks.forEach(block => {
+                if (block.type === 'images') {
+                    block.images.forEach(img => image.appendChild(DeckSource._img(img)));
+                } else {
+                    text.appendChild(DeckSource._block(block, slide));
+                }
+            });
+
+            if (slide.imageSide === 'left') {
+                split.append(image, text);
+            } else {
+                split.append(text, image);
+            }
+            content.appendChild(split);
+        } else {
+            blocks.forEach(block => content.appendChild(DeckSource._block(block, slide)));
+        }
+
+        if (slide.notes) {
+            const notes = DeckSource._el('aside', 'notes');
+            notes.innerHTML = slide.notes.split(/\n\s*\n/)
+                .map(p => `<p>${DeckSource.inline(p.replace(/\n/g, ' '))}</p>`)
+                .join('');
+            section.appendChild(notes);
+        }
+
+        return section;
+    }
+
+    static _block(block, slide) {
+        switch (block.type) {
+            case 'quote': {
+                const frag = document.createDocumentFragment();
+                frag.appendChild(DeckSource._el('div', 'slide-quote', block.text));
+                if (block.attribution) {
+                    frag.appendChild(DeckSource._el('div', 'slide-quote-attr', `— ${block.attribution}`));
+                }
+                return frag;
+            }
+
+            case 'body': {
+                const body = DeckSource._el('div', 'slide-body');
+                block.items.forEach(item => {
+                    if (item.type === 'list') {
+                        const ul = DeckSource._el('ul', 'reflection-list');
+                        item.items.forEach(li => {
+                            const el = DeckSource._el('li', li.fragment ? 'fragment' : null, li.text);
+                            ul.appendChild(el);
+                        });
+                        body.appendChild(ul);
+                    } else {
+                        body.appendChild(DeckSource._el('p', item.fragment ? 'fragment' : null, item.text));
+                    }
+                });
+                return body;
+            }
+
+            case 'images': {
+                const n = block.images.length;
+                const container = slide.imageGrid || n === 4
+                    ? DeckSource._el('div', 'slide-image-grid quad')
+                    : DeckSource._el('div', `slide-image-container ${['single', 'single', 'dual', 'triple'][n] || ''}`.trim());
+                block.images.forEach(img => container.appendChild(DeckSource._img(img)));
+                return container;
+            }
+
+            default:
+                return document.createDocumentFragment();
+        }
+    }
+
+    static _img(img) {
+        const el = document.createElement('img');
+        el.src = img.src;
+        el.alt = img.alt || '';
+        if (img.fragment) el.classList.add('fragment');
+        return el;
+    }
+
+    // Element with class names and inline-formatted text
+    static _el(tag, className, text) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined) el.innerHTML = DeckSource.inline(text);
+        return el;
+    }
+
+    // **key term**, *emphasis*, _italic_, [link](url); everything else escaped
+    static inline(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\*\*(.+?)\*\*/g, '<span class="key-term">$1</span>')
+            .replace(/\*(.+?)\*/g, '<span class="emphasis">$1</span>')
+            .replace(/(^|[^\w])_(.+?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+                DeckSource.safeHref(href) ? `<a href="${href}">${label}</a>` : label);
+    }
+
+    // http(s), mailto, #anchors and relative URLs; never javascript: and the like.
+    // The href has already been escaped with the rest of the text.
+    static safeHref(href) {
+        const scheme = href.match(/^([a-z][\w+.-]*):/i);
+        return !scheme || /^(https?|mailto)$/i.test(scheme[1]);
+    }
+
+    static _camel(name) {
+        return name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    }
+}
@@ -3,84 +3,191 @@
    Canvas-based real-time markup overlay
    ============================================ */
 
-class DrawingEngine {
+/*
+   Annotations are kept as a list of vector strokes per slide rather than
+   as bitmap snapshots. Each stroke looks like:
+
+       { tool: 'pen', color: '#e63946', width: 3, points: [[x, y], ...] }
+
+   Points are normalised to 0..1 of the layer size, so the same strokes
+   can be redrawn at any resolution. Every layer is as wide as the virtual
+   slide (see scaler.js), so widths, font sizes and arrowheads are in those
+   pixels and keep their proportion to whatever canvas shows the layer; the
+   canvas behind it has as many pixels as the screen shows.
+   Freehand tools (pen, highlighter, eraser) store every sampled point;
+   shapes (circle, rect, line, arrow) store just the start and end points
+   of the drag. Pen strokes drawn with a stylus
+   carry pressure as a third value per point: [x, y, pressure].
+
+   Text and sticky notes are strokes too, with a single point for the
+   top-left corner, the typed text, and the font size as the width:
+
+       { tool: 'note', color: '#f4d35e', width: 20, points: [[x, y]], text: 'Ask why' }
+
+   The spotlight and magnifier are transient: they follow the pointer
+   through an EmphasisOverlay and never produce strokes.
+
+   Every change to a slide's strokes is recorded as an action on that
+   slide's undo stack ({ type: 'add', stroke } or { type: 'clear', strokes }),
+   so undo and redo can step through additions and clears alike.
+
+   Local drawing is also emitted as a stream of small serialisable events
+   through onStrokeEvent and the 'strokeevent' event, which another
+   DrawingEngine (e.g. in a second window, or a recorded session) can
+   replay with applyEvent:
+
+       { type: 'stroke-start', slide, stroke }
+       { type: 'stroke-point', slide, point }
+       { type: 'stroke-end',   slide, stroke }
+       { type: 'stroke-cancel', slide }
+       { type: 'undo' | 'redo', slide, strokes }     strokes: the slide's strokes after it
+       { type: 'clear', slide }
+
+   Listeners can also subscribe with on() to the events listed in events.js.
+*/
+
+class DrawingEngine extends Emitter {
     constructor() {
+        super();
         this.canvases = new Map();      // slideIndex -> canvas element
         this.contexts = new Map();      // slideIndex -> context
-        this.histories = new Map();     // slideIndex -> array of ImageData snapshots
+        this.strokes = new Map();       // slideIndex -> array of vector strokes
+        this.undoStacks = new Map();    // slideIndex -> array of actions
+        this.redoStacks = new Map();    // slideIndex -> array of undone actions
+        this.width = 1920;              // layer size: the virtual slide size (see scaler.js)
+        this.height = 1080;
+        this.sizes = new Map();         // slideIndex -> { width, height } the layer's strokes are drawn in
+        this.fixedSize = new Set();     // layers sized by their owner (lightbox images), not setSize
+        this.pixelRatio = 1;            // canvas pixels per layer pixel (see setPixelRatio)
+        this.layerRatios = new Map();   // layers with a pixel ratio of their own
+        this.maxPixelRatio = 2;         // every slide keeps a canvas, so cap their memory
+        this.savedLayers = {};          // loaded strokes for layers that don't have a canvas yet
         this.isDrawing = false;
         this.drawMode = false;
         this.currentTool = 'pen';
         this.currentColor = '#e63946';
         this.lineWidth = 3;
-        this.startX = 0;
-        this.startY = 0;
-        this.snapshotBeforeShape = null;
+        this.activeStroke = null;       // stroke being drawn, not yet committed
+        this.remoteStrokes = new Map(); // source id -> in-progress stroke replayed from events
+        this.onChange = null;           // callback(slideIndex) after strokes or history change
+        this.onStrokeEvent = null;      // callback(event) for each local drawing event
+        this._replaying = false;
+        this._configuredWidths = {};    // widths last applied by configure()
+        this.textEditor = null;         // { el, slideIndex, stroke } while a text box is being typed in
+        this.emphasis = new EmphasisOverlay();
+
+        // Pointer tracking
+        this.activePointer = null;      // pointerId of the pointer drawing the active stroke
+        this.touchPoints = new Map();   // pointerId -> { x, y, time, moved } for fingers on the canvas
+        this.twoFingerTap = null;       // pending two-finger tap (undo gesture)
+        this.penSeen = false;           // once a stylus is used, fingers stop drawing (palm rejection)
 
         this.tools = {
-            pen:         { cursor: 'crosshair', width: 3 },
-            circle:      { cursor: 'crosshair', width: 3 },
-            arrow:       { cursor: 'crosshair', width: 3 },
-            highlighter: { cursor: 'crosshair', width: 22 },
-            eraser:      { cursor: 'cell',      width: 24 }
+            pen:         { cursor: 'crosshair', width: 3,  shape: false },
+            circle:      { cursor: 'crosshair', width: 3,  shape: true },
+            arrow:       { cursor: 'crosshair', width: 3,  shape: true },
+            rect:        { cursor: 'crosshair', width: 3,  shape: true },
+            line:        { cursor: 'crosshair', width: 3,  shape: true },
+            highlighter: { cursor: 'crosshair', width: 22, shape: false },
+            eraser:      { cursor: 'cell',      width: 24, shape: false },
+            text:        { cursor: 'text',      width: 28, shape: false, text: true },
+            note:        { cursor: 'text',      width: 20, shape: false, text: true },
+            spotlight:   { cursor: 'default',   width: 0,  shape: false, transient: true },
+            magnifier:   { cursor: 'none',      width: 0,  shape: false, transient: true }
         };
 
         this.colors = ['#e63946', '#457b9d', '#f4d35e', '#ffffff', '#2a9d8f'];
+        this.textSizes = [20, 28, 40];  // font sizes (px) for the text tools
     }
 
-    // Initialize canvas for a given slide
-    initCanvas(slideIndex, slideElement) {
+    // Initialize canvas for a given slide. Other annotation layers, such as an
+    // enlarged image in the lightbox, use a string key and their own height.
+    initCanvas(slideIndex, slideElement, size = null) {
         if (this.canvases.has(slideIndex)) return;
 
         const canvas = document.createElement('canvas');
         canvas.classList.add('drawing-canvas');
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
+        if (size) this.fixedSize.add(slideIndex);
         slideElement.appendChild(canvas);
 
-        const ctx = canvas.getContext('2d');
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
         this.canvases.set(slideIndex, canvas);
-        this.contexts.set(slideIndex, ctx);
-        this.histories.set(slideIndex, []);
+        this.contexts.set(slideIndex, canvas.getContext('2d'));
+        this.sizes.set(slideIndex, size ? { ...size } : { width: this.width, height: this.height });
+        this.strokes.set(slideIndex, (this.savedLayers[slideIndex] || []).slice());
+        this.undoStacks.set(slideIndex, []);
+        this.redoStacks.set(slideIndex, []);
+        delete this.savedLayers[slideIndex];
 
         this._bindCanvasEvents(canvas, slideIndex);
+        this._updateCanvasState();
+        this._sizeCanvas(slideIndex);
     }
 
-    // Resize all canvases on window resize
-    resize() {
-        const w = window.innerWidth;
-        const h = window.innerHeight;
+    // Slide layers match the virtual slide size, not the window
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
 
         this.canvases.forEach((canvas, idx) => {
-            const ctx = this.contexts.get(idx);
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            if (this.fixedSize.has(idx)) return;
+            this.sizes.set(idx, { width, height });
+            this._sizeCanvas(idx);
+        });
+    }
 
-            canvas.width = w;
-            canvas.height = h;
+    // Canvas pixels per layer pixel: for slides the slide scale times
+    // devicePixelRatio, so ink stays sharp at any window size. A layer
+    // with a size of its own is given its own ratio.
+    setPixelRatio(ratio, slideIndex = null) {
+        ratio = Math.min(ratio, this.maxPixelRatio) || 1;
+        if (slideIndex !== null) {
+            if (this.layerRatios.get(slideIndex) === ratio) return;
+            this.layerRatios.set(slideIndex, ratio);
+            if (this.canvases.has(slideIndex)) this._sizeCanvas(slideIndex);
+            return;
+        }
 
-            // Restore content
-            ctx.putImageData(imageData, 0, 0);
-            ctx.lineCap = 'round';
-            ctx.lineJoin = 'round';
+        if (ratio === this.pixelRatio) return;
+        this.pixelRatio = ratio;
+        this.canvases.forEach((canvas, idx) => {
+            if (!this.layerRatios.has(idx)) this._sizeCanvas(idx);
         });
     }
 
+    // Size the backing store to the layer times its pixel ratio and map layer
+    // pixels onto it, so drawing code works in layer pixels whatever the
+    // resolution. Resizing clears the canvas, so it is redrawn.
+    _sizeCanvas(slideIndex) {
+        const canvas = this.canvases.get(slideIndex);
+        const ctx = this.contexts.get(slideIndex);
+        const { width, height } = this.sizes.get(slideIndex);
+        const ratio = this.layerRatios.get(slideIndex) || this.pixelRatio;
+
+        canvas.width = Math.max(1, Math.round(width * ratio));
+        canvas.height = Math.max(1, Math.round(height * ratio));
+        ctx.setTransform(canvas.width / width, 0, 0, canvas.height / height, 0, 0);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        this.render(slideIndex);
+    }
+
     // Toggle draw mode on/off
     toggleDrawMode() {
-        this.drawMode = !this.drawMode;
-        this._updateCanvasState();
+        this.setDrawMode(!this.drawMode);
         return this.drawMode;
     }
 
     setDrawMode(on) {
+        const changed = on !== this.drawMode;
         this.drawMode = on;
         this._updateCanvasState();
+        if (changed) this.emit('drawmodechange', { on });
     }
 
     _updateCanvasState() {
+        if (!this.drawMode) this.commitText();
+        if (!this.drawMode || !this.tools[this.currentTool].transient) this.emphasis.hide();
+
         this.canvases.forEach(canvas => {
             if (this.drawMode) {
                 canvas.classList.add('active');
@@ -95,197 +202,806 @@ class DrawingEngine {
     // Tool selection
     setTool(toolName) {
         if (this.tools[toolName]) {
+            const previous = this.currentTool;
             this.currentTool = toolName;
             this.lineWidth = this.tools[toolName].width;
             this._updateCanvasState();
+            this.emit('toolchange', { tool: toolName, previous });
         }
     }
 
+    // Add a tool from outside the engine. Besides cursor, width and shape it
+    // takes draw(ctx, stroke, pts) to render a stroke from layer-pixel
+    // points; the optional icon and key are used by the toolbar and keyboard.
+    registerTool(name, tool) {
+        this.tools[name] = { cursor: 'crosshair', width: 3, shape: false, ...tool };
+        this.emit('toolregistered', { name, tool: this.tools[name] });
+    }
+
+    // Palette and per-tool widths from a DeckConfig (or any { palette, widths }).
+    // Called again whenever the config changes, so only widths that differ
+    // from the last configured ones are applied, keeping any picked since.
+    configure({ palette, widths }) {
+        this.colors = palette.slice();
+        Object.keys(widths).forEach(name => {
+            if (this.tools[name] && widths[name] !== this._configuredWidths[name]) this.tools[name].width = widths[name];
+        });
+        this._configuredWidths = { ...widths };
+        if (!this.colors.includes(this.currentColor)) this.currentColor = this.colors[0];
+        this.lineWidth = this.tools[this.currentTool].width;
+    }
+
+    // Width for the current tool, kept when switching tools and back
+    setWidth(width) {
+        this.lineWidth = width;
+        this.tools[this.currentTool].width = width;
+    }
+
     // Color selection
     setColor(color) {
         this.currentColor = color;
+        this.emit('colorchange', { color });
     }
 
     cycleColor() {
         const idx = this.colors.indexOf(this.currentColor);
-        const next = (idx + 1) % this.colors.length;
-        this.currentColor = this.colors[next];
+        this.setColor(this.colors[(idx + 1) % this.colors.length]);
         return this.currentColor;
     }
 
-    // Undo last stroke on current slide
+    isTextTool(toolName = this.currentTool) {
+        return !!(this.tools[toolName] && this.tools[toolName].text);
+    }
+
+    // Step through the text sizes (text tools only)
+    cycleTextSize() {
+        if (!this.isTextTool()) return this.lineWidth;
+        const idx = this.textSizes.indexOf(this.lineWidth);
+        this.setWidth(this.textSizes[(idx + 1) % this.textSizes.length]);
+        return this.lineWidth;
+    }
+
+    // --- History ---
+
+    canUndo(slideIndex) {
+        const stack = this.undoStacks.get(slideIndex);
+        return !!stack && stack.length > 0;
+    }
+
+    canRedo(slideIndex) {
+        const stack = this.redoStacks.get(slideIndex);
+        return !!stack && stack.length > 0;
+    }
+
+    // Undo last action (stroke or clear) on current slide
     undo(slideIndex) {
-        const history = this.histories.get(slideIndex);
-        const ctx = this.contexts.get(slideIndex);
-        const canvas = this.canvases.get(slideIndex);
-        if (!history || history.length === 0) return;
+        if (!this.canUndo(slideIndex)) return;
 
-        history.pop();
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const action = this.undoStacks.get(slideIndex).pop();
+        const strokes = this.strokes.get(slideIndex);
 
-        if (history.length > 0) {
-            ctx.putImageData(history[history.length - 1], 0, 0);
+        if (action.type === 'add') {
+            strokes.splice(strokes.lastIndexOf(action.stroke), 1);
+        } else if (action.type === 'clear') {
+            this.strokes.set(slideIndex, action.strokes.slice());
         }
+
+        this.redoStacks.get(slideIndex).push(action);
+        this._changed(slideIndex);
+        this._emit({ type: 'undo', slide: slideIndex, strokes: this.strokes.get(slideIndex) });
+    }
+
+    // Re-apply the most recently undone action on current slide
+    redo(slideIndex) {
+        if (!this.canRedo(slideIndex)) return;
+
+        const action = this.redoStacks.get(slideIndex).pop();
+        this._apply(slideIndex, action);
+        this.undoStacks.get(slideIndex).push(action);
+        this._changed(slideIndex);
+        this._emit({ type: 'redo', slide: slideIndex, strokes: this.strokes.get(slideIndex) });
     }
 
-    // Clear all drawings on current slide
+    // Clear all drawings on current slide (undoable)
     clearSlide(slideIndex) {
-        const ctx = this.contexts.get(slideIndex);
-        const canvas = this.canvases.get(slideIndex);
-        if (!ctx) return;
+        const strokes = this.strokes.get(slideIndex);
+        if (!strokes || strokes.length === 0) return;
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        this.histories.set(slideIndex, []);
+        this._emit({ type: 'clear', slide: slideIndex });
+        this._record(slideIndex, { type: 'clear', strokes: strokes.slice() });
     }
 
-    // Save snapshot for undo
-    _saveSnapshot(slideIndex) {
-        const ctx = this.contexts.get(slideIndex);
-        const canvas = this.canvases.get(slideIndex);
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const history = this.histories.get(slideIndex);
+    hasStrokes(slideIndex) {
+        const strokes = this.strokes.get(slideIndex);
+        return !!strokes && strokes.length > 0;
+    }
 
-        // Limit history to 50 steps
-        if (history.length > 50) history.shift();
-        history.push(imageData);
+    // --- Stroke event stream ---
+
+    _emit(event) {
+        if (this._replaying) return;
+        if (this.onStrokeEvent) this.onStrokeEvent(event);
+        this.emit('strokeevent', { event });
     }
 
-    // Bind mouse/touch events to a canvas
-    _bindCanvasEvents(canvas, slideIndex) {
-        // Mouse events
-        canvas.addEventListener('mousedown', (e) => this._onStart(e, slideIndex));
-        canvas.addEventListener('mousemove', (e) => this._onMove(e, slideIndex));
-        canvas.addEventListener('mouseup', (e) => this._onEnd(e, slideIndex));
-        canvas.addEventListener('mouseleave', (e) => this._onEnd(e, slideIndex));
-
-        // Touch events
-        canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            this._onStart(touch, slideIndex);
-        }, { passive: false });
+    // Replay an event emitted by another engine. `source` identifies the
+    // sender so strokes from several windows can be in progress at once.
+    applyEvent(event, source = 'remote') {
+        if (!event) return;
+        if (!this.strokes.has(event.slide)) {
+            this._applySavedLayerEvent(event);
+            return;
+        }
 
-        canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            this._onMove(touch, slideIndex);
-        }, { passive: false });
+        this._replaying = true;
+        try {
+            switch (event.type) {
+                case 'stroke-start':
+                    this.remoteStrokes.set(source, {
+                        slideIndex: event.slide,
+                        stroke: JSON.parse(JSON.stringify(event.stroke))
+                    });
+                    this.render(event.slide);
+                    break;
 
-        canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this._onEnd(e, slideIndex);
-        });
+                case 'stroke-point': {
+                    const active = this.remoteStrokes.get(source);
+                    if (!active) break;
+                    this._addPoint(active.stroke, event.point);
+                    this.render(active.slideIndex);
+                    break;
+                }
+
+                case 'stroke-cancel':
+                    this.remoteStrokes.delete(source);
+                    this.render(event.slide);
+                    break;
+
+                case 'stroke-end': {
+                    // The final stroke travels with the end event, so a missed
+                    // point message can't leave the copies out of step
+                    const active = this.remoteStrokes.get(source);
+                    this.remoteStrokes.delete(source);
+                    const stroke = event.stroke || (active && active.stroke);
+                    if (stroke && this.tools[stroke.tool]) {
+                        this._record(event.slide, { type: 'add', stroke: JSON.parse(JSON.stringify(stroke)) });
+                    } else {
+                        this.render(event.slide);
+                    }
+                    break;
+                }
+
+                case 'undo':
+                case 'redo':
+                    this._applyHistoryEvent(event);
+                    break;
+
+                case 'clear':
+                    this.clearSlide(event.slide);
+                    break;
+            }
+        } finally {
+            this._replaying = false;
+        }
     }
 
-    _getPos(e) {
-        return { x: e.clientX, y: e.clientY };
+    // A layer this window hasn't opened, such as an image enlarged in another
+    // window, has no canvas to draw on. Its finished strokes go into the saved
+    // layers instead, so saving from here keeps them and opening it shows them.
+    _applySavedLayerEvent(event) {
+        const key = event.slide;
+        if (typeof key !== 'string') return;
+        const strokes = this.savedLayers[key] || [];
+
+        switch (event.type) {
+            case 'stroke-end':
+                if (!event.stroke) return;
+                this.savedLayers[key] = strokes.concat([JSON.parse(JSON.stringify(event.stroke))]);
+                break;
+            case 'undo':
+            case 'redo':
+                if (!Array.isArray(event.strokes)) return;
+                this.savedLayers[key] = JSON.parse(JSON.stringify(event.strokes));
+                break;
+            case 'clear':
+                this.savedLayers[key] = [];
+                break;
+            default:
+                return;
+        }
+        if (this.onChange) this.onChange(key);
+        this.emit('change', { slide: key });
     }
 
-    _onStart(e, slideIndex) {
-        if (!this.drawMode) return;
-        this.isDrawing = true;
+    // Undo or redo as the sender did. This engine's own history can't be
+    // relied on (load() starts it afresh), so when the result differs from
+    // the strokes the sender ended up with, those replace the slide's.
+    _applyHistoryEvent(event) {
+        const slide = event.slide;
+        if (event.type === 'undo') {
+            this.undo(slide);
+        } else {
+            this.redo(slide);
+        }
+        if (!Array.isArray(event.strokes)) return;
+        if (JSON.stringify(this.strokes.get(slide)) === JSON.stringify(event.strokes)) return;
 
-        const { x, y } = this._getPos(e);
-        this.startX = x;
-        this.startY = y;
+        this.strokes.set(slide, JSON.parse(JSON.stringify(event.strokes)));
+        this.undoStacks.set(slide, []);
+        this.redoStacks.set(slide, []);
+        this._changed(slide);
+    }
 
-        const ctx = this.contexts.get(slideIndex);
-        const canvas = this.canvases.get(slideIndex);
+    // --- Serialisation ---
+
+    // Plain-object copy of every slide's strokes: { slideIndex: [strokes] },
+    // plus any loaded layers not opened yet
+    serialize() {
+        const out = { ...this.savedLayers };
+        this.strokes.forEach((strokes, idx) => {
+            if (strokes.length > 0) out[idx] = strokes;
+        });
+        return JSON.parse(JSON.stringify(out));
+    }
+
+    // Replace all strokes from serialised data; history starts fresh.
+    // Strokes from tools not registered yet (e.g. a plugin that loads
+    // later) are kept, so saving again doesn't lose them.
+    load(data) {
+        this.savedLayers = {};
+        Object.keys(data || {}).forEach(key => {
+            if (!this.strokes.has(key) && !this.strokes.has(Number(key))) this.savedLayers[key] = data[key];
+        });
+
+        this.strokes.forEach((_, idx) => {
+            const strokes = (data && data[idx]) || [];
+            this.strokes.set(idx, strokes.slice());
+            this.undoStacks.set(idx, []);
+            this.redoStacks.set(idx, []);
+            this.render(idx);
+        });
+        this.emit('annotationsloaded');
+    }
+
+    // Apply a new action, push it on the undo stack and drop the redo branch
+    _record(slideIndex, action) {
+        this._apply(slideIndex, action);
+        this.undoStacks.get(slideIndex).push(action);
+        this.redoStacks.set(slideIndex, []);
+        this._changed(slideIndex);
 
-        if (this.currentTool === 'circle' || this.currentTool === 'arrow') {
-            // Save canvas state before shape drawing for live preview
-            this.snapshotBeforeShape = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const remote = this._replaying;
+        if (action.type === 'add') {
+            this.emit('strokeadded', { slide: slideIndex, stroke: action.stroke, remote });
+        } else if (action.type === 'clear') {
+            this.emit('annotationscleared', { slide: slideIndex, strokes: action.strokes, remote });
         }
+    }
 
-        if (this.currentTool === 'pen' || this.currentTool === 'highlighter' || this.currentTool === 'eraser') {
-            ctx.beginPath();
-            ctx.moveTo(x, y);
+    _apply(slideIndex, action) {
+        if (action.type === 'add') {
+            this.strokes.get(slideIndex).push(action.stroke);
+        } else if (action.type === 'clear') {
+            this.strokes.set(slideIndex, []);
         }
     }
 
-    _onMove(e, slideIndex) {
-        if (!this.isDrawing || !this.drawMode) return;
+    _changed(slideIndex) {
+        this.render(slideIndex);
+        if (this.onChange) this.onChange(slideIndex);
+        this.emit('change', { slide: slideIndex });
+    }
 
-        const { x, y } = this._getPos(e);
+    // --- Rendering ---
+
+    // Redraw a slide's canvas from its stroke list (plus any in-progress stroke)
+    render(slideIndex) {
         const ctx = this.contexts.get(slideIndex);
-        const canvas = this.canvases.get(slideIndex);
+        const size = this.sizes.get(slideIndex);
+        if (!ctx) return;
+
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, size.width, size.height);
+
+        this.strokes.get(slideIndex).forEach(stroke => this._drawStroke(ctx, stroke, size));
+        this.remoteStrokes.forEach(active => {
+            if (active.slideIndex === slideIndex) this._drawStroke(ctx, active.stroke, size);
+        });
+        if (this.activeStroke && this.activeStroke.slideIndex === slideIndex) {
+            this._drawStroke(ctx, this.activeStroke.stroke, size);
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    // Points are scaled to the layer size; the context maps that onto the canvas
+    _drawStroke(ctx, stroke, { width: w, height: h }) {
+        const pts = stroke.points.map(([x, y]) => [x * w, y * h]);
+        if (pts.length === 0) return;
 
-        switch (this.currentTool) {
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        this._applyStyle(ctx, stroke);
+
+        switch (stroke.tool) {
             case 'pen':
-                ctx.globalAlpha = 1;
-                ctx.globalCompositeOperation = 'source-over';
-                ctx.strokeStyle = this.currentColor;
-                ctx.lineWidth = this.lineWidth;
-                ctx.lineTo(x, y);
+            case 'highlighter':
+            case 'eraser':
+                if (stroke.points[0].length > 2) {
+                    this._drawPressureStroke(ctx, stroke, pts);
+                    break;
+                }
+                ctx.beginPath();
+                ctx.moveTo(pts[0][0], pts[0][1]);
+                if (pts.length === 1) {
+                    // A single click still leaves a dot
+                    ctx.lineTo(pts[0][0] + 0.01, pts[0][1]);
+                }
+                for (let i = 1; i < pts.length; i++) {
+                    ctx.lineTo(pts[i][0], pts[i][1]);
+                }
                 ctx.stroke();
                 break;
 
-            case 'highlighter':
-                ctx.globalAlpha = 0.3;
-                ctx.globalCompositeOperation = 'source-over';
-                ctx.strokeStyle = this.currentColor;
-                ctx.lineWidth = this.tools.highlighter.width;
-                ctx.lineTo(x, y);
+            case 'circle': {
+                const [[x0, y0], [x1, y1]] = pts.length > 1 ? pts : [pts[0], pts[0]];
+                ctx.beginPath();
+                ctx.ellipse(
+                    (x0 + x1) / 2, (y0 + y1) / 2,
+                    Math.abs(x1 - x0) / 2, Math.abs(y1 - y0) / 2,
+                    0, 0, Math.PI * 2
+                );
                 ctx.stroke();
                 break;
+            }
 
-            case 'eraser':
-                ctx.globalAlpha = 1;
-                ctx.globalCompositeOperation = 'destination-out';
-                ctx.lineWidth = this.tools.eraser.width;
-                ctx.lineTo(x, y);
-                ctx.stroke();
+            case 'rect': {
+                const [[x0, y0], [x1, y1]] = pts.length > 1 ? pts : [pts[0], pts[0]];
+                ctx.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
                 break;
+            }
 
-            case 'circle':
-                // Live preview: restore snapshot then draw circle
-                ctx.putImageData(this.snapshotBeforeShape, 0, 0);
-                ctx.globalAlpha = 1;
-                ctx.globalCompositeOperation = 'source-over';
-                ctx.strokeStyle = this.currentColor;
-                ctx.lineWidth = this.lineWidth;
+            case 'line': {
+                if (pts.length < 2) break;
+                const [[x0, y0], [x1, y1]] = pts;
                 ctx.beginPath();
-                const rx = Math.abs(x - this.startX) / 2;
-                const ry = Math.abs(y - this.startY) / 2;
-                const cx = (x + this.startX) / 2;
-                const cy = (y + this.startY) / 2;
-                ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+                ctx.moveTo(x0, y0);
+                ctx.lineTo(x1, y1);
                 ctx.stroke();
                 break;
+            }
+
+            case 'arrow': {
+                if (pts.length < 2) break;
+                const [[x0, y0], [x1, y1]] = pts;
+                this._drawArrow(ctx, x0, y0, x1, y1);
+                break;
+            }
 
-            case 'arrow':
-                // Live preview: restore snapshot then draw arrow
-                ctx.putImageData(this.snapshotBeforeShape, 0, 0);
-                this._drawArrow(ctx, this.startX, this.startY, x, y);
+            case 'text':
+            case 'note':
+                this._drawText(ctx, stroke, pts[0]);
                 break;
+
+            default:
+                // Registered tools draw themselves; unknown ones are skipped
+                if (this.tools[stroke.tool] && this.tools[stroke.tool].draw) {
+                    this.tools[stroke.tool].draw(ctx, stroke, pts);
+                }
+        }
+    }
+
+    // Text is drawn line by line from the top-left point; a note sits on a
+    // filled box in the stroke colour with dark text
+    _drawText(ctx, stroke, [x, y]) {
+        const size = stroke.width;
+        const pad = this._textPadding(stroke);
+        const lineHeight = size * 1.25;
+        const lines = (stroke.text || '').split('\n');
+
+        ctx.font = this._textFont(size);
+        ctx.textBaseline = 'top';
+
+        if (stroke.tool === 'note') {
+            const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+            ctx.fillRect(x, y, width + pad * 2, lines.length * lineHeight + pad * 2);
+            ctx.fillStyle = '#1a1a1a';
+        }
+
+        lines.forEach((line, i) => {
+            ctx.fillText(line, x + pad, y + pad + i * lineHeight + (lineHeight - size) / 2);
+        });
+    }
+
+    _textFont(size) {
+        return `${size}px 'Segoe UI', sans-serif`;
+    }
+
+    _textPadding(stroke) {
+        return stroke.tool === 'note' ? Math.round(stroke.width * 0.5) : 0;
+    }
+
+    // Pressure-sensitive strokes are drawn segment by segment, each with its own width
+    _drawPressureStroke(ctx, stroke, pts) {
+        const p = stroke.points;
+        if (pts.length === 1) {
+            ctx.lineWidth = this._pressureWidth(stroke.width, p[0][2]);
+            ctx.beginPath();
+            ctx.moveTo(pts[0][0], pts[0][1]);
+            ctx.lineTo(pts[0][0] + 0.01, pts[0][1]);
+            ctx.stroke();
+            return;
+        }
+
+        for (let i = 1; i < pts.length; i++) {
+            ctx.lineWidth = this._pressureWidth(stroke.width, p[i][2]);
+            ctx.beginPath();
+            ctx.moveTo(pts[i - 1][0], pts[i - 1][1]);
+            ctx.lineTo(pts[i][0], pts[i][1]);
+            ctx.stroke();
+        }
+    }
+
+    // Nominal width at half pressure, thinner for a light touch and thicker when pressed
+    _pressureWidth(width, pressure) {
+        return width * (0.3 + 1.4 * pressure);
+    }
+
+    _applyStyle(ctx, stroke) {
+        ctx.globalAlpha = stroke.tool === 'highlighter' ? 0.3 : 1;
+        ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = stroke.color;
+        ctx.fillStyle = stroke.color;
+        ctx.lineWidth = stroke.width;
+    }
+
+    // Bind pointer events (mouse, touch and stylus) to a canvas
+    _bindCanvasEvents(canvas, slideIndex) {
+        canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e, slideIndex));
+        canvas.addEventListener('pointermove', (e) => this._onPointerMove(e, slideIndex));
+        canvas.addEventListener('pointerup', (e) => this._onPointerUp(e, slideIndex));
+        canvas.addEventListener('pointercancel', (e) => this._onPointerUp(e, slideIndex));
+        canvas.addEventListener('pointerleave', () => this.emphasis.hide());
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.drawMode || !this.tools[this.currentTool].transient) return;
+            e.preventDefault();
+            this.emphasis.resize(e.deltaY);
+        }, { passive: false });
+    }
+
+    // Only one pointer draws at a time. Extra fingers, or a palm resting on
+    // the screen while a stylus is in use, never touch the active stroke.
+    _onPointerDown(e, slideIndex) {
+        if (!this.drawMode) return;
+        e.preventDefault();
+
+        if (e.pointerType === 'pen') this.penSeen = true;
+
+        if (e.pointerType === 'touch') {
+            this.touchPoints.set(e.pointerId, { x: e.clientX, y: e.clientY, time: e.timeStamp, moved: false });
+
+            if (this.touchPoints.size === 2) {
+                this._beginTwoFingerTap(e, slideIndex);
+                return;
+            }
+            if (this.touchPoints.size > 2) {
+                this.twoFingerTap = null;
+                return;
+            }
+            if (this.penSeen) return;
         }
+
+        if (this.activePointer !== null) return;
+
+        this.activePointer = e.pointerId;
+        if (e.target.setPointerCapture) e.target.setPointerCapture(e.pointerId);
+        this._onStart(e, slideIndex);
+    }
+
+    _onPointerMove(e, slideIndex) {
+        // Spotlight and magnifier follow a hovering mouse or a finger held down
+        if (this.drawMode && this.tools[this.currentTool].transient) {
+            if (e.pointerType === 'mouse' || e.pointerId === this.activePointer) this._showEmphasis(e, slideIndex);
+            return;
+        }
+
+        const touch = this.touchPoints.get(e.pointerId);
+        if (touch && !touch.moved && Math.hypot(e.clientX - touch.x, e.clientY - touch.y) > 10) {
+            touch.moved = true;
+            this.twoFingerTap = null;
+        }
+
+        if (e.pointerId === this.activePointer) this._onMove(e, slideIndex);
+    }
+
+    _onPointerUp(e, slideIndex) {
+        if (this.touchPoints.delete(e.pointerId) && this.twoFingerTap && this.touchPoints.size === 0) {
+            const tap = this.twoFingerTap;
+            this.twoFingerTap = null;
+            if (e.type === 'pointerup' && e.timeStamp - tap.time < 300) this.undo(tap.slideIndex);
+        }
+
+        if (e.pointerId === this.activePointer) {
+            this.activePointer = null;
+            if (this.tools[this.currentTool].transient && e.pointerType !== 'mouse') this.emphasis.hide();
+            this._onEnd(e, slideIndex);
+        }
+    }
+
+    // A second finger arriving right after the first is a two-finger tap,
+    // not the start of a stroke: drop the stroke the first finger began.
+    _beginTwoFingerTap(e, slideIndex) {
+        const first = Array.from(this.touchPoints.values())[0];
+        const quick = e.timeStamp - first.time < 200 && !first.moved;
+
+        if (!quick) {
+            this.twoFingerTap = null;
+            return;
+        }
+
+        if (this.activePointer !== null && this.touchPoints.has(this.activePointer)) {
+            this._cancelStroke();
+        }
+        this.twoFingerTap = { time: e.timeStamp, slideIndex };
+    }
+
+    _cancelStroke() {
+        const active = this.activeStroke;
+        this.activeStroke = null;
+        this.activePointer = null;
+        this.isDrawing = false;
+        if (!active) return;
+
+        this._emit({ type: 'stroke-cancel', slide: active.slideIndex });
+        this.render(active.slideIndex);
+    }
+
+    // Pointer position in layer pixels. The canvas is scaled along with its
+    // slide, so window distances are divided back down to the layer size.
+    _getPos(e, slideIndex) {
+        const rect = this.canvases.get(slideIndex).getBoundingClientRect();
+        const { width, height } = this.sizes.get(slideIndex);
+        return {
+            x: (e.clientX - rect.left) * (rect.width ? width / rect.width : 1),
+            y: (e.clientY - rect.top) * (rect.height ? height / rect.height : 1)
+        };
+    }
+
+    // Convert layer pixels to a normalised [x, y] point
+    _normalise(x, y, slideIndex) {
+        const { width, height } = this.sizes.get(slideIndex);
+        const round = v => Math.round(v * 10000) / 10000;
+        return [round(x / width), round(y / height)];
+    }
+
+    // Layer point for an input event, with stylus pressure for the pen tool
+    _eventPoint(e, slideIndex, tool) {
+        const { x, y } = this._getPos(e, slideIndex);
+        const point = this._normalise(x, y, slideIndex);
+        if (tool === 'pen' && e.pointerType === 'pen') {
+            point.push(Math.round((e.pressure || 0.5) * 100) / 100);
+        }
+        return point;
+    }
+
+    _onStart(e, slideIndex) {
+        if (!this.drawMode) return;
+
+        // Text tools place a box to type in rather than starting a stroke
+        if (this.isTextTool()) {
+            this._openTextEditor(e, slideIndex);
+            return;
+        }
+
+        // Transient tools leave no ink
+        if (this.tools[this.currentTool].transient) {
+            this._showEmphasis(e, slideIndex);
+            return;
+        }
+
+        this.isDrawing = true;
+
+        const point = this._eventPoint(e, slideIndex, this.currentTool);
+
+        this.activeStroke = {
+            slideIndex,
+            stroke: {
+                tool: this.currentTool,
+                color: this.currentColor,
+                width: this.lineWidth,
+                points: this.tools[this.currentTool].shape ? [point, point] : [point]
+            }
+        };
+        this._emit({ type: 'stroke-start', slide: slideIndex, stroke: this.activeStroke.stroke });
+    }
+
+    _onMove(e, slideIndex) {
+        if (!this.isDrawing || !this.drawMode || !this.activeStroke) return;
+
+        const ctx = this.contexts.get(slideIndex);
+        const { width, height } = this.sizes.get(slideIndex);
+        const stroke = this.activeStroke.stroke;
+        let point = this._eventPoint(e, slideIndex, stroke.tool);
+        const [px, py] = stroke.points[stroke.points.length - 1];
+
+        if (e.shiftKey && this.tools[stroke.tool].shape) {
+            point = this._constrain(stroke.tool, stroke.points[0], point, slideIndex);
+        }
+
+        this._addPoint(stroke, point);
+        this._emit({ type: 'stroke-point', slide: slideIndex, point });
+
+        if (this.tools[stroke.tool].shape || this.tools[stroke.tool].draw) {
+            // Live preview: redraw committed strokes, then the shape so far
+            this.render(slideIndex);
+            return;
+        }
+
+        // Freehand: extend the path incrementally instead of redrawing everything
+        this._applyStyle(ctx, stroke);
+        if (point.length > 2) ctx.lineWidth = this._pressureWidth(stroke.width, point[2]);
+        ctx.beginPath();
+        ctx.moveTo(px * width, py * height);
+        ctx.lineTo(point[0] * width, point[1] * height);
+        ctx.stroke();
     }
 
     _onEnd(e, slideIndex) {
         if (!this.isDrawing) return;
         this.isDrawing = false;
 
+        const active = this.activeStroke;
+        this.activeStroke = null;
+        if (!active) return;
+
+        this._emit({ type: 'stroke-end', slide: active.slideIndex, stroke: active.stroke });
+
+        // Recording redraws the slide, so overlapping highlighter segments
+        // merge into one even stroke
+        this._record(active.slideIndex, { type: 'add', stroke: active.stroke });
+    }
+
+    // --- Text annotations ---
+
+    // Open a text box at the pointer. Enter (or clicking elsewhere) commits
+    // it as a stroke, Shift+Enter starts a new line and Esc discards it.
+    _openTextEditor(e, slideIndex) {
+        this.commitText();
+
+        const canvas = this.canvases.get(slideIndex);
+        const { x, y } = this._getPos(e, slideIndex);
+        const stroke = {
+            tool: this.currentTool,
+            color: this.currentColor,
+            width: this.lineWidth,
+            points: [this._normalise(x, y, slideIndex)],
+            text: ''
+        };
+
+        // The box is sized in layer pixels, scaled to the size the layer is shown at
+        const scale = canvas.offsetWidth / this.sizes.get(slideIndex).width || 1;
+
+        const el = document.createElement('textarea');
+        el.classList.add('text-editor');
+        el.classList.toggle('note', stroke.tool === 'note');
+        el.spellcheck = false;
+        el.style.left = `${x * scale}px`;
+        el.style.top = `${y * scale}px`;
+        if (scale !== 1) el.style.transform = `scale(${scale})`;
+        el.style.font = this._textFont(stroke.width);
+        el.style.padding = `${this._textPadding(stroke)}px`;
+        if (stroke.tool === 'note') {
+            el.style.background = stroke.color;
+        } else {
+            el.style.color = stroke.color;
+        }
+
+        // Keys typed here belong to the text, not the slide shortcuts
+        el.addEventListener('keydown', (ev) => {
+            ev.stopPropagation();
+            if (ev.key === 'Escape') {
+                ev.preventDefault();
+                this.cancelText();
+            } else if (ev.key === 'Enter' && !ev.shiftKey) {
+                ev.preventDefault();
+                this.commitText();
+            }
+        });
+        el.addEventListener('input', () => this._resizeTextEditor());
+        el.addEventListener('blur', () => this.commitText());
+
+        // Placed inside the slide, in layer pixels, so it scales with it
+        this.textEditor = { el, slideIndex, stroke };
+        canvas.parentElement.appendChild(el);
+        this._resizeTextEditor();
+        el.focus();
+    }
+
+    // Grow the box to fit its text, measured with the same font the canvas uses
+    _resizeTextEditor() {
+        const { el, slideIndex, stroke } = this.textEditor;
         const ctx = this.contexts.get(slideIndex);
-        ctx.globalAlpha = 1;
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.beginPath(); // Reset path
+        const pad = this._textPadding(stroke);
+        const lines = el.value.split('\n');
+
+        ctx.font = this._textFont(stroke.width);
+        const width = Math.max(stroke.width, ...lines.map(line => ctx.measureText(line).width));
+        el.style.width = `${Math.ceil(width + pad * 2 + stroke.width / 2)}px`;
+        el.style.height = `${Math.ceil(lines.length * stroke.width * 1.25 + pad * 2)}px`;
+    }
+
+    // Turn the open text box into a stroke (empty boxes are dropped)
+    commitText() {
+        const editor = this.textEditor;
+        if (!editor) return;
+        this.textEditor = null;
+        editor.el.remove();
+
+        const text = editor.el.value.replace(/\s+$/, '');
+        if (!text.trim()) return;
 
-        this.snapshotBeforeShape = null;
-        this._saveSnapshot(slideIndex);
+        editor.stroke.text = text;
+        this._emit({ type: 'stroke-end', slide: editor.slideIndex, stroke: editor.stroke });
+        this._record(editor.slideIndex, { type: 'add', stroke: editor.stroke });
     }
 
+    cancelText() {
+        const editor = this.textEditor;
+        if (!editor) return;
+        this.textEditor = null;
+        editor.el.remove();
+    }
+
+    // Shift held while dragging a shape: boxes and ellipses become squares
+    // and circles, lines and arrows snap to multiples of 45 degrees
+    _constrain(tool, start, point, slideIndex) {
+        const { width, height } = this.sizes.get(slideIndex);
+        const x0 = start[0] * width;
+        const y0 = start[1] * height;
+        let dx = point[0] * width - x0;
+        let dy = point[1] * height - y0;
+
+        if (tool === 'rect' || tool === 'circle') {
+            const side = Math.max(Math.abs(dx), Math.abs(dy));
+            dx = Math.sign(dx || 1) * side;
+            dy = Math.sign(dy || 1) * side;
+        } else {
+            const step = Math.PI / 4;
+            const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+            const len = Math.hypot(dx, dy);
+            dx = len * Math.cos(angle);
+            dy = len * Math.sin(angle);
+        }
+
+        return this._normalise(x0 + dx, y0 + dy, slideIndex);
+    }
+
+    // The overlays sit over the whole window, so they take window coordinates
+    _showEmphasis(e, slideIndex) {
+        const canvas = this.canvases.get(slideIndex);
+        this.emphasis.show(this.currentTool, canvas.parentElement, slideIndex, e.clientX, e.clientY);
+    }
+
+    // Shapes keep only their two corners; a tool not registered here (a
+    // plugin loaded in another window) keeps every point, like freehand
+    _addPoint(stroke, point) {
+        const tool = this.tools[stroke.tool];
+        if (tool && tool.shape) {
+            stroke.points[1] = point;
+        } else {
+            stroke.points.push(point);
+        }
+    }
+
+    // The head is in layer pixels, like stroke widths
     _drawArrow(ctx, fromX, fromY, toX, toY) {
         const headLen = 18;
         const dx = toX - fromX;
         const dy = toY - fromY;
         const angle = Math.atan2(dy, dx);
 
-        ctx.globalAlpha = 1;
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = this.currentColor;
-        ctx.fillStyle = this.currentColor;
-        ctx.lineWidth = this.lineWidth;
-
         // Shaft
         ctx.beginPath();
         ctx.moveTo(fromX, fromY);
@@ -0,0 +1,116 @@
+/* ============================================
+   EMPHASIS OVERLAYS
+   Spotlight and magnifier: transient tools that
+   follow the pointer and leave no ink behind
+   ============================================ */
+
+class EmphasisOverlay {
+    constructor() {
+        this.tool = null;               // 'spotlight' | 'magnifier' while shown
+        this.el = null;
+        this.slideIndex = null;         // slide the magnifier copy was taken from
+        this.radius = { spotlight: 140, magnifier: 120 };
+        this.zoom = 2.5;
+        this.pos = null;
+    }
+
+    // Show (or move) the overlay for a tool at a point on a slide
+    show(tool, slideElement, slideIndex, x, y) {
+        if (tool !== this.tool) this.hide();
+        if (!this.el) this._build(tool);
+
+        if (tool === 'magnifier' && slideIndex !== this.slideIndex) {
+            this._copySlide(slideElement, slideIndex);
+        }
+
+        this.pos = { x, y };
+        this._position();
+    }
+
+    hide() {
+        if (this.el) this.el.remove();
+        this.el = null;
+        this.tool = null;
+        this.slideIndex = null;
+        this.pos = null;
+    }
+
+    // Mouse wheel grows or shrinks the circle
+    resize(deltaY) {
+        if (!this.tool) return;
+        const r = this.radius[this.tool] * (deltaY < 0 ? 1.1 : 1 / 1.1);
+        this.radius[this.tool] = Math.min(400, Math.max(40, r));
+        this._position();
+    }
+
+    _build(tool) {
+        this.tool = tool;
+        this.el = document.createElement('div');
+        this.el.id = tool;
+        this.el.classList.add('emphasis-overlay');
+
+        if (tool === 'magnifier') {
+            const content = document.createElement('div');
+            content.classList.add('magnifier-content');
+            this.el.appendChild(content);
+        }
+
+        document.body.appendChild(this.el);
+    }
+
+    // The lens shows a live-size copy of the slide (annotations included),
+    // scaled up and shifted so the point under the pointer stays centred
+    _copySlide(slideElement, slideIndex) {
+        const content = this.el.querySelector('.magnifier-content');
+        const clone = slideElement.cloneNode(true);
+        clone.classList.add('active');
+        clone.classList.remove('exiting');
+        clone.style.transition = 'none';
+        clone.setAttribute('inert', '');
+        clone.querySelectorAll('aside.notes').forEach(n => n.remove());
+
+        const source = slideElement.querySelector('.drawing-canvas');
+        const copy = clone.querySelector('.drawing-canvas');
+        if (source && copy) {
+            copy.classList.remove('active');
+            copy.width = source.width;
+            copy.height = source.height;
+            copy.getContext('2d').drawImage(source, 0, 0);
+        }
+
+        // Lay the copy over the slide as it sits in the window, scale included
+        const rect = slideElement.getBoundingClientRect();
+        const scale = slideElement.offsetWidth ? rect.width / slideElement.offsetWidth : 1;
+        clone.style.left = `${rect.left}px`;
+        clone.style.top = `${rect.top}px`;
+        clone.style.width = `${slideElement.offsetWidth}px`;
+        clone.style.height = `${slideElement.offsetHeight}px`;
+        clone.style.transformOrigin = '0 0';
+        clone.style.transform = `scale(${scale})`;
+
+        content.replaceChildren(clone);
+        content.style.width = `${window.innerWidth}px`;
+        content.style.height = `${window.innerHeight}px`;
+        this.slideIndex = slideIndex;
+    }
+
+    _position() {
+        if (!this.el || !this.pos) return;
+        const { x, y } = this.pos;
+        const r = this.radius[this.tool];
+
+        if (this.tool === 'spotlight') {
+            this.el.style.background =
+                `radial-gradient(circle at ${x}px ${y}px, transparent ${r}px, rgba(0, 0, 0, 0.78) ${r + 2}px)`;
+            return;
+        }
+
+        this.el.style.left = `${x - r}px`;
+        this.el.style.top = `${y - r}px`;
+        this.el.style.width = `${r * 2}px`;
+        this.el.style.height = `${r * 2}px`;
+
+        const content = this.el.querySelector('.magnifier-content');
+        content.style.transform = `translate(${r - x * this.zoom}px, ${r - y * this.zoom}px) scale(${this.zoom})`;
+    }
+}
@@ -0,0 +1,89 @@
+/* ============================================
+   EVENTS & PLUGINS
+   Small event emitter shared by Presentation
+   and DrawingEngine, and the plugin contract
+   ============================================ */
+
+/*
+   Listening:
+
+       pres.on('slidechange', ({ from, to, remote }) => ...)
+       pres.drawing.on('strokeadded', ({ slide, stroke, remote }) => ...)
+
+   on() returns a function that removes the listener again. A listener that
+   throws doesn't stop the others: the error goes to the emitter's 'error'
+   listeners, or is rethrown asynchronously if it has none.
+
+       error             { error, type }              a listener for `type` threw
+                         { error, plugin }            a plugin failed to install
+
+   Presentation events
+       ready             { }                          after setup and plugins
+       slidechange       { from, to, remote }
+       fragmentshown     { slide, step, elements }
+       fragmenthidden    { slide, step, elements }
+
+   DrawingEngine events
+       drawmodechange    { on }
+       toolchange        { tool, previous }
+       colorchange       { color }
+       strokeadded       { slide, stroke, remote }
+       annotationscleared { slide, strokes, remote }
+       annotationsloaded { }                          after restore or import
+       change            { slide }                    strokes or history changed
+       strokeevent       { event }                    each local stroke event (see drawing.js)
+       toolregistered    { name, tool }
+
+   Plugins are a function, or an object with install(), called with the
+   Presentation once it is set up (straight away if it already is):
+
+       Presentation.use({
+           name: 'analytics',
+           install(pres) {
+               pres.on('slidechange', ({ to }) => track(`slide ${to + 1}`));
+           }
+       });
+
+   Inside install() a plugin can also add key-bound actions with
+   pres.addAction() and drawing tools with pres.drawing.registerTool().
+*/
+
+class Emitter {
+    constructor() {
+        this.listeners = new Map();     // event type -> array of handlers
+    }
+
+    on(type, handler) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const list = this.listeners.get(type);
+        if (!list) return;
+        const idx = list.indexOf(handler);
+        if (idx >= 0) list.splice(idx, 1);
+    }
+
+    emit(type, detail = {}) {
+        (this.listeners.get(type) || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (err) {
+                this.reportError(err, { type });
+            }
+        });
+    }
+
+    // Hand an error to the 'error' listeners, or rethrow it asynchronously
+    // (where the page's error handling sees it) when there are none
+    reportError(error, detail = {}) {
+        const listeners = this.listeners.get('error') || [];
+        if (detail.type !== 'error' && listeners.length > 0) {
+            this.emit('error', { error, ...detail });
+        } else {
+            setTimeout(() => { throw error; });
+        }
+    }
+}
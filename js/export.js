@@ -0,0 +1,171 @@
+/* ============================================
+   HANDOUT EXPORT
+   Render slides with their annotations to PNG,
+   and lay the deck out one slide per page for print
+   ============================================ */
+
+class DeckExporter {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.busy = false;
+        this.status = null;
+
+        // Printing (Ctrl+P or print()) uses the print stylesheet; size the
+        // page to the virtual slide so slides and annotations keep their layout
+        window.addEventListener('beforeprint', () => this._setPrintPageSize());
+    }
+
+    // --- PNG export ---
+
+    // Download every slide as a PNG, one file per slide
+    async exportPNG() {
+        if (this.busy) return;
+        this.busy = true;
+
+        try {
+            const css = await this._collectCSS();
+            const total = this.pres.totalSlides;
+
+            for (let i = 0; i < total; i++) {
+                this._showStatus(`Exporting slide ${i + 1} of ${total}…`);
+                const blob = await this.renderSlide(i, css);
+                const num = String(i + 1).padStart(2, '0');
+                LocalData.download(blob, `${this.pres.deckId}-slide-${num}.png`);
+
+                // Browsers drop downloads fired in the same tick
+                await new Promise(r => setTimeout(r, 250));
+            }
+            this._showStatus('Export complete', 2000);
+        } catch (err) {
+            this._showStatus('Export failed', 2000);
+            alert(`Could not export slides: ${err.message}\nIf the deck is opened from a file, serve it over http instead.`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // Render one slide plus its annotation layer to a PNG blob
+    async renderSlide(index, css) {
+        const { width: w, height: h } = this.pres.scaler;
+        const ratio = window.devicePixelRatio || 1;
+
+        const clone = this._cloneSlide(index);
+        await this._inlineImages(clone);
+
+        const html = new XMLSerializer().serializeToString(clone);
+        const svg =
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">` +
+            '<foreignObject width="100%" height="100%">' +
+            `<div xmlns="http://www.w3.org/1999/xhtml" style="position:relative;width:${w}px;height:${h}px;` +
+            `--slide-width:${w}px;--slide-height:${h}px;` +
+            'overflow:hidden;background:#0d0d0d;color:#e8e4df;font-family:Georgia,\'Times New Roman\',serif;">' +
+            `<style>${css}</style>${html}</div>` +
+            '</foreignObject></svg>';
+
+        const img = await this._loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(w * ratio);
+        canvas.height = Math.round(h * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#0d0d0d';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const annotations = this.pres.drawing.canvases.get(index);
+        if (annotations) ctx.drawImage(annotations, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas is not exportable'))), 'image/png');
+        });
+    }
+
+    // --- Print ---
+    print() {
+        this._setPrintPageSize();
+        window.print();
+    }
+
+    _setPrintPageSize() {
+        let style = document.getElementById('print-page-size');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'print-page-size';
+            document.head.appendChild(style);
+        }
+        const { width, height } = this.pres.scaler;
+        style.textContent = `@page { size: ${width}px ${height}px; margin: 0; }`;
+    }
+
+    // --- Helpers ---
+
+    // Static, fully revealed copy of a slide without its canvas or notes
+    _cloneSlide(index) {
+        const clone = this.pres.slides[index].cloneNode(true);
+        clone.classList.remove('exiting');
+        clone.classList.add('active');
+        clone.removeAttribute('inert');
+        clone.removeAttribute('aria-hidden');
+        clone.style.transition = 'none';
+        clone.style.transform = 'none';
+        clone.querySelectorAll('.drawing-canvas, aside.notes').forEach(el => el.remove());
+        clone.querySelectorAll('.fragment').forEach(el => el.classList.add('visible'));
+        return clone;
+    }
+
+    // An SVG image can't load external resources, so embed each image as a data URL
+    async _inlineImages(root) {
+        const imgs = Array.from(root.querySelectorAll('img'));
+        await Promise.all(imgs.map(async img => {
+            const res = await fetch(img.src);
+            if (!res.ok) throw new Error(`Could not load ${img.getAttribute('src')}`);
+            img.src = await this._blobToDataURL(await res.blob());
+        }));
+    }
+
+    async _collectCSS() {
+        const parts = [];
+        for (const sheet of Array.from(document.styleSheets)) {
+            try {
+                parts.push(Array.from(sheet.cssRules).map(r => r.cssText).join('\n'));
+            } catch (err) {
+                // Rules unreadable (e.g. file:// in Chrome): fetch the file instead
+                if (sheet.href) parts.push(await (await fetch(sheet.href)).text());
+            }
+        }
+        return parts.join('\n');
+    }
+
+    _blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    _loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Slide could not be rendered'));
+            img.src = src;
+        });
+    }
+
+    _showStatus(text, hideAfter) {
+        if (!this.status) {
+            this.status = document.createElement('div');
+            this.status.id = 'export-status';
+            document.body.appendChild(this.status);
+        }
+        this.status.textContent = text;
+        this.status.classList.add('visible');
+
+        clearTimeout(this._statusTimer);
+        if (hideAfter) {
+            this._statusTimer = setTimeout(() => this.status.classList.remove('visible'), hideAfter);
+        }
+    }
+}
@@ -0,0 +1,146 @@
+/* ============================================
+   KIOSK MODE
+   Unattended playback: advance on a timer,
+   loop at the end, pause and resume on a key
+   ============================================ */
+
+/*
+   Each slide stays up for data-advance seconds (on its <section>), falling
+   back to data-advance on #presentation, the number given as ?kiosk=N, or
+   defaultDuration. A slide's time is shared between its fragment steps, so
+   revealing items doesn't make the slide run long.
+*/
+
+class KioskMode {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.active = false;
+        this.paused = false;
+        this.defaultDuration = 10;      // seconds per slide
+        this.duration = 0;              // ms for the current step
+        this.remaining = 0;             // ms left when the countdown last (re)started
+        this.started = 0;               // performance.now() at that point
+        this.timer = null;
+        this.frame = null;
+        this._looping = false;
+
+        this._tick = this._tick.bind(this);
+
+        // Any step change, the kiosk's own or by hand, starts that step's countdown
+        const restart = () => {
+            if (!this._looping) this.restart();
+        };
+        presentation.on('slidechange', restart);
+        presentation.on('fragmentshown', restart);
+        presentation.on('fragmenthidden', restart);
+    }
+
+    start(seconds) {
+        if (seconds > 0) this.defaultDuration = seconds;
+        this.active = true;
+        this.paused = false;
+        document.body.classList.add('kiosk');
+        document.body.classList.remove('kiosk-paused');
+        this.restart();
+    }
+
+    stop() {
+        this.active = false;
+        this.paused = false;
+        this._clear();
+        document.body.classList.remove('kiosk', 'kiosk-paused');
+        this.pres._updateProgress();
+    }
+
+    toggle() {
+        if (this.active) {
+            this.stop();
+        } else {
+            this.start();
+        }
+        return this.active;
+    }
+
+    togglePause() {
+        if (!this.active) return;
+        this.paused = !this.paused;
+        document.body.classList.toggle('kiosk-paused', this.paused);
+
+        if (this.paused) {
+            this.remaining = this._left();
+            this._clear();
+        } else {
+            this._run();
+        }
+    }
+
+    // Start the countdown for the step now showing (after any navigation)
+    restart() {
+        if (!this.active) return;
+        this.duration = this._stepDuration();
+        this.remaining = this.duration;
+        this._clear();
+
+        if (this.paused) {
+            this._drawProgress(this.remaining);
+        } else {
+            this._run();
+        }
+    }
+
+    _run() {
+        this.started = performance.now();
+        this.timer = setTimeout(() => this._advance(), this.remaining);
+        this.frame = requestAnimationFrame(this._tick);
+    }
+
+    _clear() {
+        clearTimeout(this.timer);
+        cancelAnimationFrame(this.frame);
+        this.timer = null;
+        this.frame = null;
+    }
+
+    _advance() {
+        const pres = this.pres;
+        const last = pres.currentSlide === pres.totalSlides - 1 &&
+            pres.fragmentSteps[pres.currentSlide] >= pres.fragments[pres.currentSlide].length;
+
+        if (!last) {
+            pres.next();
+            return;
+        }
+
+        // Loop, with every slide's fragments hidden again; one restart for both
+        this._looping = true;
+        pres.goTo(0);
+        pres.resetFragments();
+        this._looping = false;
+        this.restart();
+    }
+
+    _stepDuration() {
+        const slide = this.pres.slides[this.pres.currentSlide];
+        const container = document.getElementById('presentation');
+        const seconds = parseFloat(slide.dataset.advance) ||
+            parseFloat(container && container.dataset.advance) ||
+            this.defaultDuration;
+        const steps = this.pres.fragments[this.pres.currentSlide].length + 1;
+        return (seconds * 1000) / steps;
+    }
+
+    _left() {
+        return Math.max(0, this.remaining - (performance.now() - this.started));
+    }
+
+    // The progress bar counts down the time left on this step
+    _tick() {
+        this._drawProgress(this._left());
+        this.frame = this.active && !this.paused ? requestAnimationFrame(this._tick) : null;
+    }
+
+    _drawProgress(left) {
+        const el = document.getElementById('progress-bar');
+        if (el) el.style.width = `${(left / this.duration) * 100}%`;
+    }
+}
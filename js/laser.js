@@ -0,0 +1,111 @@
+/* ============================================
+   LASER POINTER
+   Glowing dot with a short fading trail that
+   follows the pointer; never drawn onto a slide
+   ============================================ */
+
+class LaserPointer {
+    constructor(getColor) {
+        this.getColor = getColor;       // () -> colour to draw in (the current drawing colour)
+        this.active = false;
+        this.fade = 1000;               // ms for a trail point to fade out
+        this.trail = [];                // { x, y, time } recent pointer positions
+        this.pos = null;                // where the dot sits
+        this.canvas = null;
+        this.ctx = null;
+        this.frame = null;
+
+        this._onMove = (e) => this._addPoint(e);
+        this._onResize = () => this._sizeCanvas();
+        this._draw = this._draw.bind(this);
+    }
+
+    toggle() {
+        this.setActive(!this.active);
+        return this.active;
+    }
+
+    setActive(on) {
+        if (on === this.active) return;
+        this.active = on;
+        document.body.classList.toggle('laser-active', on);
+
+        if (on) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.id = 'laser-canvas';
+            this.ctx = this.canvas.getContext('2d');
+            this._sizeCanvas();
+            document.body.appendChild(this.canvas);
+            document.addEventListener('pointermove', this._onMove);
+            window.addEventListener('resize', this._onResize);
+        } else {
+            document.removeEventListener('pointermove', this._onMove);
+            window.removeEventListener('resize', this._onResize);
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+            this.canvas.remove();
+            this.canvas = null;
+            this.ctx = null;
+            this.trail = [];
+            this.pos = null;
+        }
+    }
+
+    _sizeCanvas() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this._draw();
+    }
+
+    _addPoint(e) {
+        this.pointAt(e.clientX, e.clientY);
+    }
+
+    // Move the dot to a viewport position (pointer events, or the phone remote)
+    pointAt(x, y) {
+        this.pos = { x, y };
+        this.trail.push({ ...this.pos, time: performance.now() });
+        if (!this.frame) this.frame = requestAnimationFrame(this._draw);
+    }
+
+    // Redraw every frame while the trail is fading; the dot stays put once it has gone
+    _draw() {
+        this.frame = null;
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const now = performance.now();
+        const color = this.getColor();
+        this.trail = this.trail.filter(p => now - p.time < this.fade);
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+
+        // Older segments are thinner and more transparent
+        for (let i = 1; i < this.trail.length; i++) {
+            const life = 1 - (now - this.trail[i].time) / this.fade;
+            ctx.globalAlpha = life * 0.8;
+            ctx.lineWidth = 2 + 6 * life;
+            ctx.shadowBlur = 12 * life;
+            ctx.beginPath();
+            ctx.moveTo(this.trail[i - 1].x, this.trail[i - 1].y);
+            ctx.lineTo(this.trail[i].x, this.trail[i].y);
+            ctx.stroke();
+        }
+
+        if (this.pos) {
+            ctx.globalAlpha = 1;
+            ctx.shadowBlur = 20;
+            ctx.beginPath();
+            ctx.arc(this.pos.x, this.pos.y, 7, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.shadowBlur = 0;
+        if (this.trail.length > 0) this.frame = requestAnimationFrame(this._draw);
+    }
+}
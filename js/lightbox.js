@@ -0,0 +1,339 @@
+/* ============================================
+   IMAGE LIGHTBOX
+   Enlarge a slide image to fill the window, step
+   through the slide's images, pan, zoom and draw
+   ============================================ */
+
+/*
+   Any image on the current slide opens with a click, or with Enter once it
+   has focus (Tab, or the images key to cycle through them). The slide's
+   other images are a step away with the next/prev keys, the alt text is
+   the caption, and the image zooms with the wheel, a pinch, double-click
+   or the zoom keys, and pans by dragging.
+
+   In draw mode each image has its own annotation layer, keyed
+   "image:<slide>:<n>" in the DrawingEngine, which pans and zooms along
+   with it and is saved with the slide annotations.
+*/
+
+class ImageLightbox {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.isOpen = false;
+        this.images = [];               // <img> elements of the slide it was opened on
+        this.index = 0;
+        this.layer = null;              // annotation layer key of the image shown
+        this.el = null;
+        this.stage = null;              // image + canvas, the element that is panned and zoomed
+        this.box = null;                // { left, top, width, height } of the image fitted to the window
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+        this.maxZoom = 8;
+        this.pointers = new Map();      // pointerId -> { x, y } while panning or pinching
+        this.returnFocus = null;
+
+        this._onResize = () => this._fit();
+        this._bindImages();
+    }
+
+    // --- Opening from the slides ---
+
+    _bindImages() {
+        this.pres.slides.forEach(slide => {
+            slide.querySelectorAll('img').forEach(img => {
+                img.tabIndex = 0;
+                img.classList.add('zoomable');
+            });
+        });
+
+        // A swipe that starts on an image isn't a click on it
+        let down = null;
+        const container = document.getElementById('presentation');
+        container.addEventListener('pointerdown', (e) => {
+            down = { x: e.clientX, y: e.clientY };
+        });
+        container.addEventListener('click', (e) => {
+            const img = e.target.closest('img.zoomable');
+            const moved = down && Math.hypot(e.clientX - down.x, e.clientY - down.y) > 10;
+            if (img && !moved && !this.pres.drawing.drawMode) this.open(img);
+        });
+        container.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('img.zoomable')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.open(e.target);
+            }
+        });
+    }
+
+    // Images on the current slide, in document order
+    slideImages() {
+        return Array.from(this.pres.slides[this.pres.currentSlide].querySelectorAll('img.zoomable'));
+    }
+
+    // Move focus to the next image on the slide, wrapping round
+    focusNext() {
+        if (this.isOpen) return;
+        const images = this.slideImages();
+        if (images.length === 0) return;
+        const idx = images.indexOf(document.activeElement);
+        images[(idx + 1) % images.length].focus();
+    }
+
+    // --- Open / close ---
+
+    open(img) {
+        this.images = this.slideImages();
+        const index = this.images.indexOf(img);
+        if (index < 0) return;
+
+        if (!this.isOpen) {
+            this.isOpen = true;
+            this.returnFocus = img;
+            this._build();
+            document.body.appendChild(this.el);
+            document.body.classList.add('lightbox-open');
+            window.addEventListener('resize', this._onResize);
+        }
+        this.show(index);
+        this.el.focus();
+        this.pres.announce(`Image ${index + 1} of ${this.images.length}: ${img.alt || 'no description'}`);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.pres.drawing.commitText();
+        this._detachLayer();
+
+        window.removeEventListener('resize', this._onResize);
+        document.body.classList.remove('lightbox-open');
+        this.el.remove();
+        this.el = null;
+        this.stage = null;
+        this.layer = null;
+        this.pointers.clear();
+
+        if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus();
+        this.returnFocus = null;
+        this.pres._updateToolbarState();
+    }
+
+    // Show the image at `index` of the slide's images
+    show(index) {
+        if (index < 0 || index >= this.images.length) return;
+        this.pres.drawing.commitText();
+        this._detachLayer();
+
+        this.index = index;
+        const src = this.images[index];
+        const img = this.stage.querySelector('img');
+        img.src = src.currentSrc || src.src;
+        img.alt = src.alt;
+
+        this.el.querySelector('.lightbox-caption').textContent = src.alt;
+        this.el.querySelector('.lightbox-counter').textContent =
+            this.images.length > 1 ? `${index + 1} / ${this.images.length}` : '';
+        this.el.querySelector('.lightbox-prev').disabled = index === 0;
+        this.el.querySelector('.lightbox-next').disabled = index === this.images.length - 1;
+
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+        const ready = () => {
+            this._fit();
+            this._attachLayer();
+        };
+        if (img.complete && img.naturalWidth) {
+            ready();
+        } else {
+            img.onload = ready;
+        }
+    }
+
+    step(delta) {
+        if (!this.isOpen) return;
+        const index = this.index + delta;
+        if (index < 0 || index >= this.images.length) return;
+        this.show(index);
+        this.pres.announce(`Image ${index + 1} of ${this.images.length}: ${this.images[index].alt || 'no description'}`);
+    }
+
+    // --- Annotation layer ---
+
+    // The layer's canvas is created the first time the image is drawn on, as
+    // wide as a slide so strokes are as thick as on one and keep their
+    // proportion to the image, then moved in and out of the stage
+    _attachLayer() {
+        const drawing = this.pres.drawing;
+        this.layer = `image:${this.pres.currentSlide}:${this.index}`;
+
+        if (drawing.canvases.has(this.layer)) {
+            this.stage.appendChild(drawing.canvases.get(this.layer));
+        } else {
+            drawing.initCanvas(this.layer, this.stage, {
+                width: drawing.width,
+                height: Math.round(drawing.width * this.box.height / this.box.width)
+            });
+        }
+        this._sizeLayer();
+        this.pres._updateToolbarState();
+    }
+
+    // The layer keeps the size it was created at, like a slide's; only its
+    // canvas follows the fitted box, a pixel for every screen pixel
+    _sizeLayer() {
+        const drawing = this.pres.drawing;
+        const size = drawing.sizes.get(this.layer);
+        if (!size) return;
+        drawing.setPixelRatio(this.box.width / size.width * (window.devicePixelRatio || 1), this.layer);
+    }
+
+    _detachLayer() {
+        if (this.layer === null) return;
+        const canvas = this.pres.drawing.canvases.get(this.layer);
+        if (canvas) canvas.remove();
+        this.layer = null;
+    }
+
+    // --- Zoom and pan ---
+
+    // Zoom by `factor` keeping the window point (cx, cy) still; centre by default
+    zoomBy(factor, cx, cy) {
+        if (!this.isOpen || !this.box) return;
+        if (cx === undefined) {
+            cx = this.box.left + this.box.width / 2;
+            cy = this.box.top + this.box.height / 2;
+        }
+
+        const zoom = Math.min(this.maxZoom, Math.max(1, this.zoom * factor));
+        const u = (cx - this.box.left - this.pan.x) / this.zoom;
+        const v = (cy - this.box.top - this.pan.y) / this.zoom;
+        this.zoom = zoom;
+        this.pan = { x: cx - this.box.left - zoom * u, y: cy - this.box.top - zoom * v };
+        this._applyTransform();
+    }
+
+    resetZoom() {
+        if (!this.isOpen) return;
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+        this._applyTransform();
+    }
+
+    // Largest size with the image's proportions that fits the window, less room for the caption
+    _fit() {
+        const img = this.stage.querySelector('img');
+        const nw = img.naturalWidth || 4;
+        const nh = img.naturalHeight || 3;
+        const maxW = window.innerWidth * 0.92;
+        const maxH = window.innerHeight * 0.82;
+        const scale = Math.min(maxW / nw, maxH / nh);
+        const width = nw * scale;
+        const height = nh * scale;
+
+        this.box = {
+            left: (window.innerWidth - width) / 2,
+            top: (window.innerHeight - height) / 2 - window.innerHeight * 0.03,
+            width,
+            height
+        };
+        Object.assign(this.stage.style, {
+            left: `${this.box.left}px`,
+            top: `${this.box.top}px`,
+            width: `${width}px`,
+            height: `${height}px`
+        });
+        this._applyTransform();
+        if (this.layer !== null) this._sizeLayer();
+    }
+
+    // Keep the zoomed image covering its fitted box, so it can't be dragged away
+    _applyTransform() {
+        const { width, height } = this.box;
+        this.pan.x = Math.min(0, Math.max(width - width * this.zoom, this.pan.x));
+        this.pan.y = Math.min(0, Math.max(height - height * this.zoom, this.pan.y));
+        this.stage.style.transform = `translate(${this.pan.x}px, ${this.pan.y}px) scale(${this.zoom})`;
+        this.el.classList.toggle('zoomed', this.zoom > 1);
+    }
+
+    // Dragging pans and two fingers pinch; in draw mode the canvas has the pointer
+    _bindPanZoom() {
+        const view = this.el.querySelector('.lightbox-view');
+
+        view.addEventListener('wheel', (e) => {
+            if (this.pres.drawing.drawMode) return;
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX, e.clientY);
+        }, { passive: false });
+
+        view.addEventListener('dblclick', (e) => {
+            if (this.pres.drawing.drawMode) return;
+            if (this.zoom > 1) {
+                this.resetZoom();
+            } else {
+                this.zoomBy(2.5, e.clientX, e.clientY);
+            }
+        });
+
+        view.addEventListener('pointerdown', (e) => {
+            if (this.pres.drawing.drawMode || e.button > 0) return;
+            view.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        });
+
+        view.addEventListener('pointermove', (e) => {
+            const last = this.pointers.get(e.pointerId);
+            if (!last) return;
+
+            if (this.pointers.size === 2) {
+                const other = Array.from(this.pointers.entries()).find(([id]) => id !== e.pointerId)[1];
+                const before = Math.hypot(last.x - other.x, last.y - other.y);
+                const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+                if (before > 0) this.zoomBy(after / before, (e.clientX + other.x) / 2, (e.clientY + other.y) / 2);
+            } else {
+                this.pan.x += e.clientX - last.x;
+                this.pan.y += e.clientY - last.y;
+                this._applyTransform();
+            }
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        });
+
+        const end = (e) => this.pointers.delete(e.pointerId);
+        view.addEventListener('pointerup', end);
+        view.addEventListener('pointercancel', end);
+    }
+
+    // --- DOM ---
+
+    _build() {
+        const el = document.createElement('div');
+        el.id = 'lightbox';
+        el.tabIndex = -1;
+        el.setAttribute('role', 'dialog');
+        el.setAttribute('aria-modal', 'true');
+        el.setAttribute('aria-label', 'Enlarged image');
+        el.innerHTML = `
+            <div class="lightbox-view">
+                <div class="lightbox-stage"><img alt=""></div>
+            </div>
+            <div class="lightbox-caption"></div>
+            <div class="lightbox-counter"></div>
+            <button class="lightbox-btn lightbox-prev" aria-label="Previous image">‹</button>
+            <button class="lightbox-btn lightbox-next" aria-label="Next image">›</button>
+            <button class="lightbox-btn lightbox-close" aria-label="Close image">×</button>
+        `;
+
+        el.querySelector('.lightbox-prev').addEventListener('click', () => this.step(-1));
+        el.querySelector('.lightbox-next').addEventListener('click', () => this.step(1));
+        el.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes, unless drawing or after a drag
+        el.querySelector('.lightbox-view').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget && !this.pres.drawing.drawMode && this.zoom === 1) this.close();
+        });
+
+        this.el = el;
+        this.stage = el.querySelector('.lightbox-stage');
+        this._bindPanZoom();
+    }
+}
@@ -0,0 +1,48 @@
+/* ============================================
+   LOCAL DATA
+   Keep data on the user's machine: entries in
+   localStorage and files to download
+   ============================================ */
+
+/*
+   Annotations, settings and rehearsal runs are kept in localStorage as JSON.
+   Storage can be full or unavailable (private mode, file:// restrictions),
+   and the deck has to work without it, so reads fall back to null and
+   failed writes are dropped.
+*/
+
+class LocalData {
+    // The value stored under `key`, or null if there is none or it can't be read
+    static read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    static write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {}
+    }
+
+    static remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (err) {}
+    }
+
+    // Save a blob through a temporary link. The URL is revoked a little
+    // later, once the browser has started reading it.
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
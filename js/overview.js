@@ -0,0 +1,197 @@
+/* ============================================
+   SLIDE OVERVIEW
+   Thumbnail grid of every slide for jumping
+   straight to one (keyboard or mouse)
+   ============================================ */
+
+class SlideOverview {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.isOpen = false;
+        this.selected = 0;
+        this.columns = 1;
+        this.el = null;
+        this.thumbs = [];
+
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this._layout();
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.selected = this.pres.currentSlide;
+
+        this._build();
+        document.body.appendChild(this.el);
+        this._layout();
+        this._select(this.selected);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        this.el.remove();
+        this.el = null;
+        this.thumbs = [];
+    }
+
+    // Jump to a slide and leave the overview
+    choose(index) {
+        this.close();
+        this.pres.goTo(index);
+    }
+
+    // Keyboard handling while open; returns true if the key was used
+    handleKey(e) {
+        const n = this.thumbs.length;
+        const moves = {
+            ArrowRight: 1,
+            ArrowLeft: -1,
+            ArrowDown: this.columns,
+            ArrowUp: -this.columns
+        };
+
+        if (moves[e.key] !== undefined) {
+            e.preventDefault();
+            const target = this.selected + moves[e.key];
+            if (target >= 0 && target < n) this._select(target);
+            return true;
+        }
+
+        if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            this._select(e.key === 'Home' ? 0 : n - 1);
+            return true;
+        }
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.choose(this.selected);
+            return true;
+        }
+
+        const action = this.pres.config.actionFor(e, false);
+        if (action === 'back' || action === 'overview') {
+            e.preventDefault();
+            this.close();
+            return true;
+        }
+
+        return false;
+    }
+
+    // --- DOM ---
+    _build() {
+        const el = document.createElement('div');
+        el.id = 'slide-overview';
+
+        const grid = document.createElement('div');
+        grid.classList.add('overview-grid');
+        el.appendChild(grid);
+
+        this.columns = Math.ceil(Math.sqrt(this.pres.totalSlides));
+        grid.style.gridTemplateColumns = `repeat(${this.columns}, 1fr)`;
+
+        this.thumbs = this.pres.slides.map((slide, i) => {
+            const thumb = document.createElement('div');
+            thumb.classList.add('overview-thumb');
+            thumb.tabIndex = 0;
+            thumb.setAttribute('role', 'button');
+            thumb.classList.toggle('current', i === this.pres.currentSlide);
+
+            const viewport = document.createElement('div');
+            viewport.classList.add('overview-viewport');
+            const frame = document.createElement('div');
+            frame.classList.add('overview-frame');
+            frame.appendChild(this._cloneSlide(slide, i));
+            viewport.appendChild(frame);
+
+            const caption = document.createElement('div');
+            caption.classList.add('overview-caption');
+            const number = document.createElement('span');
+            number.classList.add('overview-number');
+            number.textContent = i + 1;
+            caption.appendChild(number);
+            caption.appendChild(document.createTextNode(SlideOverview.slideTitle(slide, i)));
+
+            thumb.appendChild(viewport);
+            thumb.appendChild(caption);
+            thumb.addEventListener('click', () => this.choose(i));
+            thumb.addEventListener('mouseenter', () => this._select(i));
+            grid.appendChild(thumb);
+            return thumb;
+        });
+
+        // Clicking the backdrop closes without navigating
+        el.addEventListener('click', (e) => {
+            if (e.target === el || e.target === grid) this.close();
+        });
+
+        this.el = el;
+    }
+
+    // Static copy of a slide with its current annotations painted in
+    _cloneSlide(slide, index) {
+        const clone = slide.cloneNode(true);
+        clone.classList.remove('active', 'exiting');
+        clone.removeAttribute('style');
+        clone.setAttribute('aria-hidden', 'true');
+        clone.setAttribute('inert', '');
+        clone.querySelectorAll('aside.notes').forEach(n => n.remove());
+
+        const source = this.pres.drawing.canvases.get(index);
+        const copy = clone.querySelector('.drawing-canvas');
+        if (source && copy) {
+            copy.classList.remove('active');
+            copy.width = source.width;
+            copy.height = source.height;
+            copy.getContext('2d').drawImage(source, 0, 0);
+        }
+
+        return clone;
+    }
+
+    // Scale each full-size frame down to its thumbnail box
+    _layout() {
+        const { width: w, height: h } = this.pres.scaler;
+
+        this.thumbs.forEach(thumb => {
+            const viewport = thumb.querySelector('.overview-viewport');
+            const frame = thumb.querySelector('.overview-frame');
+            const scale = viewport.clientWidth / w;
+
+            viewport.style.height = `${h * scale}px`;
+            frame.style.width = `${w}px`;
+            frame.style.height = `${h}px`;
+            frame.style.transform = `scale(${scale})`;
+        });
+    }
+
+    _select(index) {
+        this.selected = index;
+        this.thumbs.forEach((thumb, i) => thumb.classList.toggle('selected', i === index));
+
+        const thumb = this.thumbs[index];
+        if (thumb) {
+            thumb.focus({ preventScroll: true });
+            thumb.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Slide title, falling back to the section label for untitled slides
+    static slideTitle(slide, index) {
+        const title = slide.querySelector('.slide-title') || slide.querySelector('.slide-section-label');
+        return title ? title.textContent.trim() : `Slide ${index + 1}`;
+    }
+}
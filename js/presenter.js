@@ -0,0 +1,128 @@
+/* ============================================
+   PRESENTER VIEW
+   Speaker window: current slide, next slide,
+   notes and timer, kept in sync over DeckChannel
+   ============================================ */
+
+class PresenterView {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.startTime = Date.now();
+        this.pausedAt = null;
+        this.timer = null;
+
+        // Target length of the talk in minutes, from <div id="presentation" data-duration>
+        const container = document.getElementById('presentation');
+        this.duration = parseFloat(container && container.dataset.duration) || 0;
+
+        this._build();
+        this._startClock();
+        this.update();
+    }
+
+    _build() {
+        const current = this.pres.viewUrl('preview');
+        const next = this.pres.viewUrl('preview', { offset: 1 });
+        const root = document.createElement('div');
+        root.id = 'presenter-view';
+        root.innerHTML = `
+            <header class="presenter-bar">
+                <span class="presenter-clock" data-clock="elapsed">00:00</span>
+                <span class="presenter-clock remaining" data-clock="remaining"></span>
+                <button class="presenter-btn" data-action="pause">Pause</button>
+                <button class="presenter-btn" data-action="reset">Reset</button>
+                <span class="presenter-counter"></span>
+            </header>
+            <div class="presenter-current">
+                <iframe tabindex="-1" title="Current slide"></iframe>
+            </div>
+            <div class="presenter-side">
+                <div class="presenter-next">
+                    <div class="presenter-label">Next</div>
+                    <iframe tabindex="-1" title="Next slide"></iframe>
+                </div>
+                <div class="presenter-notes">
+                    <div class="presenter-label">Notes</div>
+                    <div class="presenter-notes-body"></div>
+                </div>
+            </div>
+        `;
+        root.querySelector('.presenter-current iframe').src = current;
+        root.querySelector('.presenter-next iframe').src = next;
+        document.body.appendChild(root);
+
+        this.root = root;
+        this.notesEl = root.querySelector('.presenter-notes-body');
+        this.counterEl = root.querySelector('.presenter-counter');
+        this.elapsedEl = root.querySelector('[data-clock="elapsed"]');
+        this.remainingEl = root.querySelector('[data-clock="remaining"]');
+        this.pauseBtn = root.querySelector('[data-action="pause"]');
+
+        this.pauseBtn.addEventListener('click', () => this.togglePause());
+        root.querySelector('[data-action="reset"]').addEventListener('click', () => this.resetTimer());
+
+        if (!this.duration) this.remainingEl.remove();
+    }
+
+    // Refresh notes and counter for the current slide
+    update() {
+        const index = this.pres.currentSlide;
+        const notes = this.pres.slides[index].querySelector('aside.notes');
+
+        if (notes && notes.innerHTML.trim()) {
+            this.notesEl.innerHTML = notes.innerHTML;
+            this.notesEl.classList.remove('empty');
+        } else {
+            this.notesEl.textContent = 'No notes for this slide.';
+            this.notesEl.classList.add('empty');
+        }
+
+        this.counterEl.textContent = `${index + 1} / ${this.pres.totalSlides}`;
+    }
+
+    // --- Timer ---
+    togglePause() {
+        if (this.pausedAt) {
+            this.startTime += Date.now() - this.pausedAt;
+            this.pausedAt = null;
+        } else {
+            this.pausedAt = Date.now();
+        }
+        this.pauseBtn.textContent = this.pausedAt ? 'Resume' : 'Pause';
+        this._tick();
+    }
+
+    resetTimer() {
+        this.startTime = Date.now();
+        if (this.pausedAt) this.pausedAt = this.startTime;
+        this._tick();
+    }
+
+    _startClock() {
+        this._tick();
+        this.timer = setInterval(() => this._tick(), 1000);
+    }
+
+    _tick() {
+        const now = this.pausedAt || Date.now();
+        const elapsed = Math.floor((now - this.startTime) / 1000);
+        this.elapsedEl.textContent = PresenterView.formatTime(elapsed);
+
+        if (this.duration) {
+            const remaining = Math.round(this.duration * 60) - elapsed;
+            this.remainingEl.textContent = remaining < 0
+                ? `+${PresenterView.formatTime(-remaining)} over`
+                : `${PresenterView.formatTime(remaining)} left`;
+            this.remainingEl.classList.toggle('overtime', remaining < 0);
+        }
+    }
+
+    // Seconds -> "mm:ss" / "h:mm:ss"
+    static formatTime(total) {
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        const pad = n => String(n).padStart(2, '0');
+        return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+    }
+}
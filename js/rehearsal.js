@@ -0,0 +1,236 @@
+/* ============================================
+   REHEARSAL RECORDER
+   Time each slide during a practice run, compare
+   against the previous run, report as CSV/JSON
+   ============================================ */
+
+/*
+   A run is saved in localStorage under rehearsal:<deck> when it finishes:
+
+       { deck, version: 1, recorded: ISO date, target: minutes, total: ms,
+         slides: [{ slide: 1, title, time: ms, reached: ms | null }] }
+
+   time is the total spent on the slide (revisits add up); reached is how
+   far into the run the slide was first shown, which is what the running
+   clock compares with the previous run to say "ahead" or "behind".
+*/
+
+class RehearsalRecorder {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.key = `rehearsal:${presentation.deckId}`;
+        this.active = false;
+        this.previous = this._loadPrevious();
+        this.startTime = 0;
+        this.slide = 0;                 // slide being timed
+        this.slideStart = 0;            // when it was shown
+        this.times = [];                // ms per slide for this run
+        this.reached = [];              // ms into the run when each slide first appeared
+        this.bar = null;
+        this.report = null;
+        this.timer = null;
+
+        const container = document.getElementById('presentation');
+        this.target = parseFloat(container && container.dataset.duration) || 0;
+    }
+
+    toggle() {
+        if (this.active) {
+            this.finish();
+        } else {
+            this.start();
+        }
+        return this.active;
+    }
+
+    start() {
+        if (this.active) return;
+        this.closeReport();
+        this.active = true;
+
+        const n = this.pres.totalSlides;
+        this.times = new Array(n).fill(0);
+        this.reached = new Array(n).fill(null);
+        this.startTime = Date.now();
+        this.slide = this.pres.currentSlide;
+        this.slideStart = this.startTime;
+        this.reached[this.slide] = 0;
+
+        this._buildBar();
+        this._tick();
+        this.timer = setInterval(() => this._tick(), 1000);
+    }
+
+    // Called by Presentation.goTo after every slide change
+    record(index) {
+        if (!this.active) return;
+        const now = Date.now();
+        this.times[this.slide] += now - this.slideStart;
+        this.slide = index;
+        this.slideStart = now;
+        if (this.reached[index] === null) this.reached[index] = now - this.startTime;
+        this._tick();
+    }
+
+    // Stop recording, save the run and show the report
+    finish() {
+        if (!this.active) return;
+        const now = Date.now();
+        this.times[this.slide] += now - this.slideStart;
+        this.active = false;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.bar.remove();
+        this.bar = null;
+
+        const run = this._run(now - this.startTime);
+        this._showReport(run, this.previous);
+        this._save(run);
+        this.previous = run;
+    }
+
+    _run(total) {
+        return {
+            deck: this.pres.deckId,
+            version: 1,
+            recorded: new Date().toISOString(),
+            target: this.target,
+            total,
+            slides: this.pres.slides.map((slide, i) => ({
+                slide: i + 1,
+                title: SlideOverview.slideTitle(slide, i),
+                time: this.times[i],
+                reached: this.reached[i]
+            }))
+        };
+    }
+
+    // --- Running clock ---
+
+    _buildBar() {
+        this.bar = document.createElement('div');
+        this.bar.id = 'rehearsal-bar';
+        document.body.appendChild(this.bar);
+    }
+
+    _tick() {
+        if (!this.bar) return;
+        const now = Date.now();
+        const fmt = ms => PresenterView.formatTime(Math.floor(ms / 1000));
+        const index = this.slide;
+
+        let text = `● Rehearsal ${fmt(now - this.startTime)}`;
+        if (this.target) text += ` / ${fmt(this.target * 60000)}`;
+        text += ` · slide ${index + 1}: ${fmt(this.times[index] + now - this.slideStart)}`;
+
+        // Compare with when the previous run got to this slide
+        const before = this.previous && this.previous.slides[index];
+        if (before && before.reached !== null && this.reached[index] !== null) {
+            const diff = this.reached[index] - before.reached;
+            text += diff > 0
+                ? ` · ${fmt(diff)} behind last run`
+                : ` · ${fmt(-diff)} ahead of last run`;
+            this.bar.classList.toggle('behind', diff > 0);
+        }
+
+        this.bar.textContent = text;
+    }
+
+    // --- Report ---
+
+    get reportOpen() {
+        return !!this.report;
+    }
+
+    closeReport() {
+        if (this.report) this.report.remove();
+        this.report = null;
+    }
+
+    _showReport(run, previous) {
+        this.closeReport();
+        const fmt = ms => PresenterView.formatTime(Math.round(ms / 1000));
+        const prev = i => previous && previous.slides[i] ? previous.slides[i].time : null;
+
+        const el = document.createElement('div');
+        el.id = 'rehearsal-report';
+        el.innerHTML = `
+            <div class="rehearsal-content">
+                <h2>Rehearsal report</h2>
+                <p class="rehearsal-summary"></p>
+                <table>
+                    <thead><tr><th>#</th><th>Slide</th><th>Time</th><th>Last run</th><th>Change</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <div class="rehearsal-actions">
+                    <button class="presenter-btn" data-action="csv">Download CSV</button>
+                    <button class="presenter-btn" data-action="json">Download JSON</button>
+                    <button class="presenter-btn" data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+
+        let summary = `Total ${fmt(run.total)}`;
+        if (run.target) summary += ` against a target of ${fmt(run.target * 60000)}`;
+        if (previous) summary += ` · last run ${fmt(previous.total)}`;
+        el.querySelector('.rehearsal-summary').textContent = summary;
+
+        const tbody = el.querySelector('tbody');
+        run.slides.forEach((s, i) => {
+            const tr = document.createElement('tr');
+            const before = prev(i);
+            const diff = before === null ? '' : (s.time >= before ? '+' : '−') + fmt(Math.abs(s.time - before));
+            [s.slide, s.title, fmt(s.time), before === null ? '' : fmt(before), diff].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        el.querySelector('[data-action="csv"]').addEventListener('click', () => {
+            this._download(this._csv(run, previous), 'text/csv', 'csv');
+        });
+        el.querySelector('[data-action="json"]').addEventListener('click', () => {
+            this._download(JSON.stringify(run, null, 2), 'application/json', 'json');
+        });
+        el.querySelector('[data-action="close"]').addEventListener('click', () => this.closeReport());
+        el.addEventListener('click', (e) => {
+            if (e.target === el) this.closeReport();
+        });
+
+        document.body.appendChild(el);
+        this.report = el;
+    }
+
+    _csv(run, previous) {
+        const quote = v => `"${String(v).replace(/"/g, '""')}"`;
+        const secs = ms => (ms === null ? '' : (ms / 1000).toFixed(1));
+        const rows = [['slide', 'title', 'seconds', 'previous_seconds', 'difference_seconds']];
+
+        run.slides.forEach((s, i) => {
+            const before = previous && previous.slides[i] ? previous.slides[i].time : null;
+            rows.push([s.slide, quote(s.title), secs(s.time), secs(before),
+                before === null ? '' : secs(s.time - before)]);
+        });
+        rows.push(['', quote('Total'), secs(run.total), secs(previous ? previous.total : null), '']);
+
+        return rows.map(r => r.join(',')).join('\n') + '\n';
+    }
+
+    _download(text, type, ext) {
+        LocalData.download(new Blob([text], { type }), `${this.pres.deckId}-rehearsal.${ext}`);
+    }
+
+    // --- Storage ---
+
+    _loadPrevious() {
+        const run = LocalData.read(this.key);
+        return run && Array.isArray(run.slides) ? run : null;
+    }
+
+    _save(run) {
+        LocalData.write(this.key, run);
+    }
+}
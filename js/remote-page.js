@@ -0,0 +1,152 @@
+/* ============================================
+   REMOTE CONTROL PAGE
+   Phone-side of server/remote-server.js: shows
+   where the deck is and sends commands to it
+   ============================================ */
+
+class RemoteControl {
+    constructor() {
+        this.url = `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`;
+        this.socket = null;
+        this.retry = 1000;
+        this.state = null;              // last state from a display: { deck, index, total, title }
+        this.laser = null;              // { x, y } waiting to be sent
+        this.frame = null;
+
+        this._bindControls();
+        this._bindLaserPad();
+        this._bindKeys();
+        this._render();
+        this._connect();
+    }
+
+    _connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.retry = 1000;
+            document.body.classList.add('connected');
+            socket.send(JSON.stringify({ type: 'hello', role: 'remote' }));
+            this._render();
+        });
+        socket.addEventListener('message', (e) => {
+            let msg;
+            try {
+                msg = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            if (msg && typeof msg === 'object' && msg.type === 'state') {
+                this.state = msg;
+                this._render();
+            }
+        });
+        socket.addEventListener('close', () => {
+            this.socket = null;
+            document.body.classList.remove('connected');
+            this._render();
+            setTimeout(() => this._connect(), this.retry);
+            this.retry = Math.min(this.retry * 2, 10000);
+        });
+    }
+
+    send(command, extra = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        const deck = this.state ? this.state.deck : undefined;
+        this.socket.send(JSON.stringify({ type: 'command', command, deck, ...extra }));
+    }
+
+    _render() {
+        const connected = document.body.classList.contains('connected');
+        const state = this.state;
+
+        document.querySelector('.remote-connection').textContent = !connected
+            ? 'Connecting…'
+            : state ? 'Connected' : 'Waiting for a display';
+        document.querySelector('.remote-counter').textContent = state
+            ? `${state.index + 1} / ${state.total}`
+            : '– / –';
+        document.querySelector('.remote-title').textContent = state ? state.title || '' : '';
+
+        const input = document.querySelector('#remote-goto input');
+        if (state) input.max = state.total;
+
+        document.querySelectorAll('.remote-btn').forEach(btn => { btn.disabled = !connected; });
+    }
+
+    // --- Controls ---
+
+    _bindControls() {
+        document.querySelectorAll('[data-command]').forEach(btn => {
+            btn.addEventListener('click', () => this.send(btn.dataset.command));
+        });
+
+        const form = document.getElementById('remote-goto');
+        const input = form.querySelector('input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const n = parseInt(input.value, 10);
+            if (n > 0) this.send('goto', { index: n - 1 });
+            input.value = '';
+            input.blur();
+        });
+    }
+
+    // Clicker apps send arrow, page and space keys
+    _bindKeys() {
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT') return;
+            if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].includes(e.key)) {
+                e.preventDefault();
+                this.send('next');
+            } else if (['ArrowLeft', 'ArrowUp', 'PageUp'].includes(e.key)) {
+                e.preventDefault();
+                this.send('prev');
+            }
+        });
+    }
+
+    // --- Laser pad ---
+
+    // Positions go out at most once a frame, as fractions of the pad
+    _bindLaserPad() {
+        const pad = document.getElementById('laser-pad');
+
+        const move = (e) => {
+            const rect = pad.getBoundingClientRect();
+            this.laser = {
+                x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+                y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+            };
+            if (!this.frame) {
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    if (this.laser) this.send('laser', this.laser);
+                });
+            }
+        };
+        const end = () => {
+            pad.classList.remove('pointing');
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+            this.laser = null;
+            this.send('laser', { on: false });
+        };
+
+        pad.addEventListener('pointerdown', (e) => {
+            pad.setPointerCapture(e.pointerId);
+            pad.classList.add('pointing');
+            move(e);
+        });
+        pad.addEventListener('pointermove', (e) => {
+            if (pad.classList.contains('pointing')) move(e);
+        });
+        pad.addEventListener('pointerup', end);
+        pad.addEventListener('pointercancel', end);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.remote = new RemoteControl();
+});
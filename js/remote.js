@@ -0,0 +1,174 @@
+/* ============================================
+   REMOTE LINK
+   Connects a display to server/remote-server.js
+   so a phone can drive it and displays stay in step
+   ============================================ */
+
+/*
+   Enabled with ?remote (the server this page was loaded from) or
+   ?remote=ws://host:port/ws. The protocol is described at the top of
+   server/remote-server.js. Draw and laser commands only apply to the
+   audience view; navigation works in any view.
+
+   The link reconnects on its own if the server restarts, backing off
+   up to maxRetry between attempts. A small #remote-link badge shows
+   whether the display is connected.
+*/
+
+class RemoteLink {
+    constructor(presentation, url) {
+        this.pres = presentation;
+        this.url = url || RemoteLink.defaultUrl();
+        this.socket = null;
+        this.retry = 1000;
+        this.maxRetry = 10000;
+        this.applied = null;            // last state taken from the server, so it isn't echoed back
+        this.queued = false;
+        this.remoteLaser = false;       // laser was switched on by the remote, not locally
+        this.status = null;
+
+        const send = () => this._queueState();
+        presentation.on('slidechange', send);
+        presentation.on('fragmentshown', send);
+        presentation.on('fragmenthidden', send);
+
+        this._buildStatus();
+        this._connect();
+    }
+
+    static defaultUrl() {
+        const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+        return `${scheme}://${location.host}/ws`;
+    }
+
+    get connected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    _connect() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            this._setStatus('failed', `Remote unavailable: ${err.message}`);
+            return;
+        }
+        this.socket = socket;
+        this._setStatus('connecting', 'Remote connecting…');
+
+        socket.addEventListener('open', () => {
+            this.retry = 1000;
+            this._setStatus('connected', 'Remote connected');
+            this._send({ type: 'hello', role: 'display', ...this._state() });
+        });
+        socket.addEventListener('message', (e) => {
+            let msg;
+            try {
+                msg = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            this._onMessage(msg);
+        });
+        socket.addEventListener('close', () => {
+            this.socket = null;
+            this._setStatus('failed', 'Remote disconnected, retrying…');
+            setTimeout(() => this._connect(), this.retry);
+            this.retry = Math.min(this.retry * 2, this.maxRetry);
+        });
+    }
+
+    // --- Connection badge ---
+
+    _buildStatus() {
+        this.status = document.createElement('div');
+        this.status.id = 'remote-link';
+        this.status.setAttribute('role', 'status');
+        document.body.appendChild(this.status);
+    }
+
+    _setStatus(state, text) {
+        if (!this.status) return;
+        this.status.className = state;
+        this.status.textContent = text;
+    }
+
+    _send(msg) {
+        if (this.connected) this.socket.send(JSON.stringify(msg));
+    }
+
+    _state() {
+        const pres = this.pres;
+        const index = pres.currentSlide;
+        return {
+            deck: pres.deckId,
+            index,
+            fragment: pres.fragmentSteps[index],
+            total: pres.totalSlides,
+            title: SlideOverview.slideTitle(pres.slides[index], index)
+        };
+    }
+
+    // Coalesce the events of one navigation (slide change, then fragments) into one message
+    _queueState() {
+        if (this.queued) return;
+        this.queued = true;
+        setTimeout(() => {
+            this.queued = false;
+            const state = this._state();
+            const applied = this.applied;
+            if (applied && applied.index === state.index && applied.fragment === state.fragment) return;
+            this.applied = null;
+            this._send({ type: 'state', ...state });
+        }, 0);
+    }
+
+    _onMessage(msg) {
+        if (!msg || typeof msg !== 'object') return;
+        if (msg.deck && msg.deck !== this.pres.deckId) return;
+
+        switch (msg.type) {
+            case 'state':
+                this.applied = { index: msg.index, fragment: msg.fragment };
+                this.pres._onRemoteSlide(msg.index, msg.fragment);
+                break;
+            case 'command':
+                this._runCommand(msg);
+                break;
+        }
+    }
+
+    _runCommand(msg) {
+        const pres = this.pres;
+
+        switch (msg.command) {
+            case 'next':
+                pres.next();
+                break;
+            case 'prev':
+                pres.prev();
+                break;
+            case 'goto':
+                pres.goTo(Number(msg.index));
+                break;
+            case 'draw':
+                pres.toggleDraw();
+                break;
+            case 'laser':
+                if (pres.view !== 'audience') return;
+                if (msg.on === false) {
+                    if (this.remoteLaser) pres.laser.setActive(false);
+                    this.remoteLaser = false;
+                } else {
+                    if (!pres.laser.active) {
+                        pres.laser.setActive(true);
+                        this.remoteLaser = true;
+                    }
+                    const { x, y } = pres.scaler.toViewport(msg.x, msg.y);
+                    pres.laser.pointAt(x, y);
+                }
+                pres._updateToolbarState();
+                break;
+        }
+    }
+}
@@ -0,0 +1,42 @@
+/* ============================================
+   SLIDE SCALING
+   Lay slides out at a fixed virtual size and
+   scale them uniformly to fit, letterboxed
+   ============================================ */
+
+/*
+   The virtual size comes from data-width / data-height on #presentation
+   (size: 1600x900 in a Markdown deck's metadata), defaulting to 1920x1080.
+   Slide markup, annotations and stroke widths all live in that space, so a
+   deck looks the same on a 4:3 projector as on a wide laptop screen.
+
+   The size and the current scale are published as CSS custom properties
+   on the root element: --slide-width, --slide-height and --slide-scale.
+   Stylesheets size slide content against --slide-height instead of vh.
+*/
+
+class SlideScaler {
+    constructor(container) {
+        this.container = container;
+        this.width = parseInt(container && container.dataset.width, 10) || 1920;
+        this.height = parseInt(container && container.dataset.height, 10) || 1080;
+        this.scale = 1;
+
+        const root = document.documentElement.style;
+        root.setProperty('--slide-width', `${this.width}px`);
+        root.setProperty('--slide-height', `${this.height}px`);
+        this.fit();
+    }
+
+    // Largest scale at which the whole slide fits the window
+    fit() {
+        this.scale = Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
+        document.documentElement.style.setProperty('--slide-scale', this.scale);
+    }
+
+    // Window position of a point given as fractions (0..1) of the slide
+    toViewport(x, y) {
+        const rect = this.container.getBoundingClientRect();
+        return { x: rect.left + x * rect.width, y: rect.top + y * rect.height };
+    }
+}
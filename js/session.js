@@ -0,0 +1,455 @@
+/* ============================================
+   SESSION RECORDING & PLAYBACK
+   Record a talk as a timed session file and
+   replay it later, optionally with its audio
+   ============================================ */
+
+/*
+   A session file holds the position and annotations when recording started,
+   then every slide change and drawing event with its time in ms:
+
+       { deck, version: 1, recorded: ISO date, duration: ms,
+         start: { slide, fragment, annotations: { slideIndex: [strokes] } },
+         events: [{ t, type: 'slide', slide, fragment },
+                  { t, type: 'draw', event }] }
+
+   Drawing events are the DrawingEngine's stroke event stream (see
+   drawing.js), the same ones the audience windows send each other. Undo
+   and redo carry the strokes they left, so they replay even though a
+   seek starts the history afresh. Only slide layers are recorded: an
+   enlarged image's layer isn't open during playback, so its strokes
+   couldn't be shown.
+
+   Playback drives the deck from the file: open one with the playSession
+   key, or publish it with the deck as ?session=talk.json&audio=talk.mp3.
+   Audio recorded separately is picked alongside the file (or later from
+   the player bar) and becomes the clock, so seeking either one keeps them
+   together. "Audio starts at" is how far into the audio the recording was
+   started. While playing back, nothing is saved over the deck's own
+   annotations, and closing the player puts them back.
+*/
+
+class SessionRecorder {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.active = false;
+        this.startTime = 0;
+        this.start = null;              // position and annotations when recording began
+        this.events = [];
+        this.last = null;               // last recorded position, so repeats are skipped
+        this.bar = null;
+        this.timer = null;
+        this._off = [];                 // listener removers
+    }
+
+    toggle() {
+        if (this.active) {
+            this.stop();
+        } else {
+            this.begin();
+        }
+        return this.active;
+    }
+
+    begin() {
+        if (this.active || (this.pres.player && this.pres.player.active)) return;
+        const pres = this.pres;
+        this.active = true;
+        this.startTime = Date.now();
+        this.events = [];
+        this.last = this._position();
+        this.start = { ...this.last, annotations: pres.drawing.serialize() };
+
+        const slide = () => this._recordSlide();
+        this._off = [
+            pres.on('slidechange', slide),
+            pres.on('fragmentshown', slide),
+            pres.on('fragmenthidden', slide),
+            pres.drawing.on('strokeevent', ({ event }) => {
+                if (typeof event.slide !== 'number') return;
+                // Copied, since an in-progress stroke keeps changing
+                this._push({ type: 'draw', event: JSON.parse(JSON.stringify(event)) });
+            })
+        ];
+
+        this._buildBar();
+        this._tick();
+        this.timer = setInterval(() => this._tick(), 1000);
+        pres.announce('Recording session');
+    }
+
+    // Stop recording and download the session file
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this._off.forEach(off => off());
+        this._off = [];
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.bar.remove();
+        this.bar = null;
+
+        this._download(this.session(Date.now() - this.startTime));
+        this.pres.announce('Recording stopped');
+    }
+
+    session(duration) {
+        return {
+            deck: this.pres.deckId,
+            version: 1,
+            recorded: new Date(this.startTime).toISOString(),
+            duration,
+            start: this.start,
+            events: this.events
+        };
+    }
+
+    _position() {
+        return {
+            slide: this.pres.currentSlide,
+            fragment: this.pres.fragmentSteps[this.pres.currentSlide]
+        };
+    }
+
+    _recordSlide() {
+        const pos = this._position();
+        if (pos.slide === this.last.slide && pos.fragment === this.last.fragment) return;
+        this.last = pos;
+        this._push({ type: 'slide', ...pos });
+    }
+
+    _push(entry) {
+        this.events.push({ t: Date.now() - this.startTime, ...entry });
+    }
+
+    // --- Running clock ---
+
+    _buildBar() {
+        this.bar = document.createElement('div');
+        this.bar.id = 'session-bar';
+        this.bar.setAttribute('role', 'status');
+        document.body.appendChild(this.bar);
+    }
+
+    _tick() {
+        if (!this.bar) return;
+        const elapsed = PresenterView.formatTime(Math.floor((Date.now() - this.startTime) / 1000));
+        const key = this.pres.config.keyLabel('record');
+        this.bar.textContent = `● Recording ${elapsed}${key ? ` · ${key} to stop` : ''}`;
+    }
+
+    _download(session) {
+        const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+        LocalData.download(blob, `${this.pres.deckId}-session.json`);
+    }
+}
+
+class SessionPlayer {
+    constructor(presentation) {
+        this.pres = presentation;
+        this.active = false;
+        this.playing = false;
+        this.session = null;
+        this.duration = 0;
+        this.position = 0;              // ms into the session while paused
+        this.startedAt = 0;             // performance.now() at position 0, while playing without audio
+        this.events = [];               // the session's events in time order
+        this.cursor = 0;                // next event to apply
+        this.audio = null;
+        this.audioUrl = null;           // object URL to revoke for a local file
+        this.offset = 0;                // seconds into the audio where the session starts
+        this.saved = null;              // the deck's own position and annotations
+        this.bar = null;
+        this.frame = null;
+    }
+
+    // --- Loading ---
+
+    // Pick a session file, and optionally its audio, from disk
+    choose() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.multiple = true;
+        input.accept = 'application/json,.json,audio/*';
+        input.addEventListener('change', () => {
+            const files = Array.from(input.files);
+            const json = files.find(f => f.type === 'application/json' || f.name.endsWith('.json'));
+            const audio = files.find(f => f.type.startsWith('audio/')) || null;
+
+            if (!json) {
+                if (audio && this.active) this.setAudio(audio);
+                return;
+            }
+            json.text()
+                .then(text => this.load(JSON.parse(text), audio))
+                .catch(err => alert(`Could not load session: ${err.message}`));
+        });
+        input.click();
+    }
+
+    // Load a published session, e.g. from ?session=talk.json&audio=talk.mp3
+    loadUrl(url, audio = null) {
+        return fetch(url)
+            .then(res => {
+                if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+                return res.json();
+            })
+            .then(session => this.load(session, audio))
+            .catch(err => alert(`Could not load session: ${err.message}`));
+    }
+
+    // Start playing `session`; `audio` is a File, a URL or null
+    load(session, audio = null) {
+        if (!session || !session.start || !Array.isArray(session.events)) {
+            throw new Error('Not a session file');
+        }
+        if (session.deck && session.deck !== this.pres.deckId &&
+            !confirm(`This session was recorded for "${session.deck}". Play it anyway?`)) return;
+
+        if (!this.active) this._enter();
+        this.pause();
+
+        this.session = session;
+        this.events = session.events.slice().sort((a, b) => a.t - b.t);
+        const last = this.events.length ? this.events[this.events.length - 1].t : 0;
+        this.duration = Math.max(session.duration || 0, last);
+        this.bar.querySelector('.session-scrubber').max = this.duration;
+
+        this.setAudio(audio);
+        this.seek(0);
+        this.play();
+    }
+
+    setAudio(source) {
+        this._removeAudio();
+        const offset = this.bar.querySelector('.session-offset');
+        offset.hidden = !source;
+        if (!source) return;
+
+        if (typeof source === 'string') {
+            this.audio = new Audio(source);
+        } else {
+            this.audioUrl = URL.createObjectURL(source);
+            this.audio = new Audio(this.audioUrl);
+        }
+        this.audio.preload = 'auto';
+        this.audio.addEventListener('ended', () => this.pause());
+
+        // Line the new audio up with where playback is
+        const wasPlaying = this.playing;
+        this.pause();
+        this.seek(this.position);
+        if (wasPlaying) this.play();
+    }
+
+    _removeAudio() {
+        if (!this.audio) return;
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio = null;
+        if (this.audioUrl) URL.revokeObjectURL(this.audioUrl);
+        this.audioUrl = null;
+    }
+
+    // Remember the deck's own state and stop it being saved over
+    _enter() {
+        const pres = this.pres;
+        if (pres.recorder) pres.recorder.stop();
+        if (pres.view === 'audience') pres.store.saveNow(pres.drawing.serialize());
+        this.saved = {
+            slide: pres.currentSlide,
+            fragment: pres.fragmentSteps[pres.currentSlide],
+            annotations: pres.drawing.serialize()
+        };
+        this.active = true;
+        document.body.classList.add('session-playback');
+        this._buildBar();
+        document.body.appendChild(this.bar);
+    }
+
+    // Stop playback and put the deck back as it was
+    close() {
+        if (!this.active) return;
+        this.pause();
+        this._removeAudio();
+        this.pres.drawing.remoteStrokes.delete('session');
+        this.active = false;
+        this.session = null;
+        this.events = [];
+        this.bar.remove();
+        this.bar = null;
+        document.body.classList.remove('session-playback');
+
+        this.pres.drawing.load(this.saved.annotations);
+        this._show(this.saved.slide, this.saved.fragment);
+        this.saved = null;
+        this.pres._updateToolbarState();
+    }
+
+    // --- Clock ---
+
+    // ms into the session; the audio keeps time when there is some
+    get time() {
+        if (this.audio) return (this.audio.currentTime - this.offset) * 1000;
+        if (this.playing) return performance.now() - this.startedAt;
+        return this.position;
+    }
+
+    play() {
+        if (!this.active || this.playing) return;
+        if (this.position >= this.duration) this.seek(0);
+        this.playing = true;
+
+        if (this.audio) {
+            this.audio.play().catch(() => this.pause());
+        } else {
+            this.startedAt = performance.now() - this.position;
+        }
+        this._updateBar();
+        this.frame = requestAnimationFrame(() => this._loop());
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.position = Math.max(0, Math.min(this.duration, this.time));
+        this.playing = false;
+        if (this.audio) this.audio.pause();
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this._updateBar();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    _loop() {
+        const t = this.time;
+        this._advance(t);
+        if (t >= this.duration) {
+            this.pause();
+            this.position = this.duration;
+            this._updateBar();
+            return;
+        }
+        this._updateBar(t);
+        this.frame = requestAnimationFrame(() => this._loop());
+    }
+
+    // --- Replaying ---
+
+    // Apply every event up to `t` in real time, stroke points included
+    _advance(t) {
+        while (this.cursor < this.events.length && this.events[this.cursor].t <= t) {
+            this._apply(this.events[this.cursor++]);
+        }
+    }
+
+    _apply(entry) {
+        if (entry.type === 'slide') {
+            this._show(entry.slide, entry.fragment);
+        } else if (entry.type === 'draw') {
+            this.pres.drawing.applyEvent(entry.event, 'session');
+        }
+    }
+
+    // Jump to `ms`: start again from the recorded state and catch up on
+    // finished strokes only, and the last position reached
+    seek(ms) {
+        if (!this.session) return;
+        ms = Math.max(0, Math.min(this.duration, ms));
+        const drawing = this.pres.drawing;
+        const start = this.session.start;
+
+        drawing.remoteStrokes.delete('session');
+        drawing.load(start.annotations);
+        let pos = start;
+
+        this.cursor = 0;
+        while (this.cursor < this.events.length && this.events[this.cursor].t <= ms) {
+            const entry = this.events[this.cursor++];
+            if (entry.type === 'slide') {
+                pos = entry;
+            } else if (entry.type === 'draw' && !/^stroke-(start|point|cancel)$/.test(entry.event.type)) {
+                drawing.applyEvent(entry.event, 'session');
+            }
+        }
+        this._show(pos.slide, pos.fragment);
+
+        this.position = ms;
+        if (this.audio) {
+            this.audio.currentTime = Math.max(0, ms / 1000 + this.offset);
+        } else {
+            this.startedAt = performance.now() - ms;
+        }
+        this._updateBar();
+    }
+
+    // Navigate as if following another window, so nothing is broadcast or pushed to history
+    _show(slide, fragment) {
+        this.pres._onRemoteSlide(slide, fragment);
+    }
+
+    // --- Player bar ---
+
+    _buildBar() {
+        const bar = document.createElement('div');
+        bar.id = 'session-player';
+        bar.setAttribute('role', 'group');
+        bar.setAttribute('aria-label', 'Session playback');
+        bar.innerHTML = `
+            <button class="session-btn session-play" aria-label="Play">▶</button>
+            <input type="range" class="session-scrubber" min="0" max="0" step="100" value="0" aria-label="Position">
+            <span class="session-time"></span>
+            <label class="session-offset" hidden>Audio starts at
+                <input type="number" min="0" step="0.1" value="0"> s</label>
+            <button class="session-btn session-audio" title="Add audio" aria-label="Add audio">♪</button>
+            <button class="session-btn session-close" title="Close playback" aria-label="Close playback">×</button>
+        `;
+
+        bar.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+        });
+        bar.querySelector('.session-play').addEventListener('click', () => this.togglePlay());
+        bar.querySelector('.session-close').addEventListener('click', () => this.close());
+        bar.querySelector('.session-audio').addEventListener('click', () => this._chooseAudio());
+
+        bar.querySelector('.session-scrubber').addEventListener('input', (e) => {
+            this.seek(parseFloat(e.target.value));
+        });
+        bar.querySelector('.session-offset input').addEventListener('change', (e) => {
+            const t = this.playing ? this.time : this.position;
+            this.offset = Math.max(0, parseFloat(e.target.value) || 0);
+            this.seek(t);
+        });
+
+        this.bar = bar;
+        this.offset = 0;
+    }
+
+    _chooseAudio() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*';
+        input.addEventListener('change', () => {
+            if (input.files[0]) this.setAudio(input.files[0]);
+        });
+        input.click();
+    }
+
+    _updateBar(t = this.position) {
+        if (!this.bar) return;
+        const fmt = ms => PresenterView.formatTime(Math.floor(Math.max(0, ms) / 1000));
+        const play = this.bar.querySelector('.session-play');
+        play.textContent = this.playing ? '❚❚' : '▶';
+        play.setAttribute('aria-label', this.playing ? 'Pause' : 'Play');
+
+        this.bar.querySelector('.session-scrubber').value = Math.max(0, t);
+        this.bar.querySelector('.session-time').textContent = `${fmt(t)} / ${fmt(this.duration)}`;
+    }
+}
@@ -2,14 +2,75 @@
    SLIDE NAVIGATION & PRESENTATION CONTROLLER
    ============================================ */
 
-class Presentation {
+// Emits the Presentation events listed in events.js, and installs plugins
+// registered with Presentation.use()
+class Presentation extends Emitter {
     constructor() {
+        super();
         this.currentSlide = 0;
         this.slides = [];
+        this.fragments = [];            // slideIndex -> array of fragment groups (arrays of elements)
+        this.fragmentSteps = [];        // slideIndex -> number of groups revealed
         this.drawing = new DrawingEngine();
+        this.transitions = new SlideTransitions();
+        this.scaler = null;
+        this.store = null;
+        this.channel = null;
+        this.presenter = null;
+        this.overview = null;
+        this.chapters = null;
+        this.lightbox = null;
+        this.exporter = null;
+        this.laser = null;
+        this.kiosk = null;
+        this.rehearsal = null;
+        this.recorder = null;
+        this.player = null;
+        this.remote = null;
+        this.config = null;
+        this.actionHandlers = new Map(); // action id -> handler added by addAction()
         this.helpVisible = false;
+        this.announcer = null;          // live region that reads out slide changes
+
+        // Which window this is: 'audience' (default), 'presenter', or 'preview'
+        // (the slide frames embedded in the presenter window)
+        const params = new URLSearchParams(location.search);
+        this.view = params.get('view') || 'audience';
+        this.previewOffset = parseInt(params.get('offset'), 10) || 0;
+        this._remoteNav = false;
+        this._historyNav = false;
 
         this._init();
+
+        Presentation.plugins.forEach(plugin => this._installPlugin(plugin));
+        this.emit('ready');
+    }
+
+    // --- Plugins ---
+
+    // Register a plugin: a function or { name, install } taking the Presentation
+    static use(plugin) {
+        Presentation.plugins.push(plugin);
+        if (window.pres instanceof Presentation) window.pres._installPlugin(plugin);
+    }
+
+    _installPlugin(plugin) {
+        try {
+            if (typeof plugin === 'function') {
+                plugin(this);
+            } else {
+                plugin.install(this);
+            }
+        } catch (err) {
+            this.reportError(err, { plugin: plugin.name || '(anonymous)' });
+        }
+    }
+
+    // Add a key-bound action, listed in the help overlay:
+    // addAction({ id, desc, keys: ['G'], group, drawOnly, nav, run(pres) })
+    addAction({ id, desc, keys = [], group = 'Plugins', drawOnly = false, nav = false, run }) {
+        this.config.addAction({ id, desc, group, drawOnly, nav }, keys);
+        if (run) this.actionHandlers.set(id, run);
     }
 
     _init() {
@@ -17,63 +78,344 @@ class Presentation {
         this.slides = Array.from(document.querySelectorAll('.slide'));
         this.totalSlides = this.slides.length;
 
+        const container = document.getElementById('presentation');
+        this.deckId = (container && container.dataset.deck) || location.pathname;
+        document.body.classList.add(`view-${this.view}`);
+
+        this.config = new DeckConfig(this.deckId);
+        this.drawing.configure(this.config);
+
+        // Fixed virtual slide size, scaled to the window; annotations use the same space
+        this.scaler = new SlideScaler(container);
+        this.drawing.setSize(this.scaler.width, this.scaler.height);
+        this._fitDrawing();
+
+        this._initFragments();
+
         // Initialize drawing canvases for all slides
         this.slides.forEach((slide, i) => {
             this.drawing.initCanvas(i, slide);
         });
+        this._initStore();
+        this.drawing.onChange = () => {
+            this._updateToolbarState();
+            if (this.view === 'audience' && !this._playingSession()) this.store.save(this.drawing.serialize());
+        };
 
-        // Show first slide
-        this.slides[0].classList.add('active');
+        // Show first slide, or the one named in the URL (#/N)
+        if (this.view !== 'preview') this.currentSlide = this._slideFromHash() ?? 0;
+        this.slides[this.currentSlide].classList.add('active');
+        this._initAccessibility();
         this._updateCounter();
         this._updateProgress();
+        this._updateHash(true);
+
+        this._initSync();
+        this._bindResize();
+
+        // Previews are driven entirely by the presenter window
+        if (this.view === 'preview') return;
+
+        this.overview = new SlideOverview(this);
+        this.chapters = new ChapterNav(this);
+        this.lightbox = new ImageLightbox(this);
+        this.exporter = new DeckExporter(this);
+        this.laser = new LaserPointer(() => this.drawing.currentColor);
+        this.rehearsal = new RehearsalRecorder(this);
+        this.recorder = new SessionRecorder(this);
+        this.player = new SessionPlayer(this);
+
+        // Phone remote via server/remote-server.js: ?remote, or ?remote=ws://host:port/ws
+        const remote = new URLSearchParams(location.search).get('remote');
+        if (remote !== null) this.remote = new RemoteLink(this, remote);
 
         // Bind events
         this._bindKeyboard();
-        this._bindResize();
+        this._bindSwipe();
+        this._bindHistory();
         this._buildToolbar();
 
+        if (this.view === 'presenter') {
+            this.presenter = new PresenterView(this);
+            return;
+        }
+
+        // Unattended playback: ?kiosk, or ?kiosk=N for N seconds per slide
+        this.kiosk = new KioskMode(this);
+        const kiosk = new URLSearchParams(location.search).get('kiosk');
+        if (kiosk !== null) this.kiosk.start(parseFloat(kiosk));
+
+        // Published talk: ?session=talk.json, with &audio=talk.mp3 if it has a recording
+        const session = new URLSearchParams(location.search).get('session');
+        if (session) this.player.loadUrl(session, new URLSearchParams(location.search).get('audio'));
+
         // Show help hint briefly
         this._flashHelp();
     }
 
     // --- Navigation ---
     goTo(index) {
+        // Indexes also arrive from other windows and the phone remote
+        if (!Number.isInteger(index)) return;
         if (index < 0 || index >= this.totalSlides || index === this.currentSlide) return;
 
-        const direction = index > this.currentSlide ? 'left' : 'right';
-        const current = this.slides[this.currentSlide];
-        const next = this.slides[index];
-
-        // Exit current
-        current.classList.remove('active');
-        current.classList.add(direction === 'left' ? 'exiting-left' : 'exiting-right');
-
-        // Enter next
-        next.style.transform = direction === 'left' ? 'translateX(40px)' : 'translateX(-40px)';
-        next.classList.add('active');
+        if (this.lightbox) this.lightbox.close();
 
-        // Force reflow then animate
-        next.offsetHeight;
-        next.style.transform = '';
-
-        // Clean up exit class after transition
-        setTimeout(() => {
-            current.classList.remove('exiting-left', 'exiting-right');
-        }, 650);
+        const from = this.currentSlide;
+        const direction = index > from ? 1 : -1;
+        this.transitions.run(this.slides[from], this.slides[index], direction);
 
         this.currentSlide = index;
+        this._updateSlideVisibility();
         this._updateCounter();
         this._updateProgress();
+        this._updateToolbarState();
+        this.announce(`Slide ${index + 1} of ${this.totalSlides}: ${SlideOverview.slideTitle(this.slides[index], index)}`);
+
+        if (this.presenter) this.presenter.update();
+        if (this.rehearsal) this.rehearsal.record(index);
+        if (!this._remoteNav) this._broadcastSlide();
+
+        // Back/forward and slides followed from another window don't add history entries
+        this._updateHash(this._remoteNav || this._historyNav);
+
+        this.emit('slidechange', { from, to: index, remote: this._remoteNav });
     }
 
+    // Reveal the next fragment on this slide, or move on once all are shown
     next() {
+        const step = this.fragmentSteps[this.currentSlide];
+        if (step < this.fragments[this.currentSlide].length) {
+            this.setFragmentStep(step + 1);
+            return;
+        }
         this.goTo(this.currentSlide + 1);
     }
 
+    // Hide the last revealed fragment, or go back once none are shown
     prev() {
+        const step = this.fragmentSteps[this.currentSlide];
+        if (step > 0) {
+            this.setFragmentStep(step - 1);
+            return;
+        }
         this.goTo(this.currentSlide - 1);
     }
 
+    // --- Fragments ---
+    // Elements with class "fragment" (or a data-fragment attribute) start hidden
+    // and are revealed one step at a time. Elements sharing a data-fragment-index
+    // appear together; otherwise document order is used.
+    _initFragments() {
+        this.fragments = this.slides.map(slide => {
+            const groups = new Map();
+            slide.querySelectorAll('.fragment, [data-fragment]').forEach((el, i) => {
+                el.classList.add('fragment');
+                const order = el.dataset.fragmentIndex !== undefined ? parseFloat(el.dataset.fragmentIndex) : i;
+                if (!groups.has(order)) groups.set(order, []);
+                groups.get(order).push(el);
+            });
+            return Array.from(groups.keys()).sort((a, b) => a - b).map(k => groups.get(k));
+        });
+        this.fragmentSteps = this.slides.map(() => 0);
+    }
+
+    // Show the first `step` fragment groups of the current slide
+    setFragmentStep(step) {
+        const groups = this.fragments[this.currentSlide];
+        const previous = this.fragmentSteps[this.currentSlide];
+        step = Math.max(0, Math.min(step, groups.length));
+
+        groups.forEach((group, i) => {
+            group.forEach(el => el.classList.toggle('visible', i < step));
+        });
+        this.fragmentSteps[this.currentSlide] = step;
+
+        this._updateCounter();
+        this._updateProgress();
+        if (this.presenter) this.presenter.update();
+        if (!this._remoteNav) this._broadcastSlide();
+
+        if (step !== previous) {
+            const detail = {
+                slide: this.currentSlide,
+                step,
+                elements: groups.slice(Math.min(step, previous), Math.max(step, previous)).flat()
+            };
+            this.emit(step > previous ? 'fragmentshown' : 'fragmenthidden', detail);
+        }
+    }
+
+    // Hide every revealed fragment on every slide (the kiosk loop starts over)
+    resetFragments() {
+        this.fragments.forEach((groups, i) => {
+            groups.forEach(group => group.forEach(el => el.classList.remove('visible')));
+            this.fragmentSteps[i] = 0;
+        });
+
+        this._updateCounter();
+        this._updateProgress();
+        if (this.presenter) this.presenter.update();
+        if (!this._remoteNav) this._broadcastSlide();
+    }
+
+    // --- URL hash (#/N, 1-based) & browser history ---
+    _slideFromHash() {
+        const match = location.hash.match(/^#\/?(\d+)$/);
+        if (!match) return null;
+
+        const index = parseInt(match[1], 10) - 1;
+        return index >= 0 && index < this.totalSlides ? index : null;
+    }
+
+    _updateHash(replace) {
+        // Preview frames would otherwise add entries to the presenter's history
+        if (this.view === 'preview') return;
+
+        const hash = `#/${this.currentSlide + 1}`;
+        if (location.hash === hash) return;
+
+        const url = location.pathname + location.search + hash;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    _bindHistory() {
+        // Back/forward and hand-edited hashes
+        window.addEventListener('popstate', () => {
+            const index = this._slideFromHash();
+            if (index === null) {
+                // Invalid or out of range: put the current slide back in the URL
+                this._updateHash(true);
+                return;
+            }
+
+            this._historyNav = true;
+            this.goTo(index);
+            this._historyNav = false;
+        });
+    }
+
+    // --- Cross-window sync (audience <-> presenter <-> previews) ---
+    _initSync() {
+        this.channel = new DeckChannel(this.deckId);
+
+        this.channel.on('slide', (msg) => this._onRemoteSlide(msg.index, msg.fragment));
+
+        // Live annotations: replay drawing events from other audience windows
+        this.channel.on('draw', (msg) => this.drawing.applyEvent(msg.event, msg.from));
+        if (this.view === 'audience') {
+            this.drawing.onStrokeEvent = (event) => this.channel.send('draw', { event });
+        }
+
+        // Full annotation state, sent to newly opened windows and after an import
+        this.channel.on('annotations', (msg) => {
+            if (msg.to && msg.to !== this.channel.id) return;
+            this.drawing.load(msg.slides);
+            this._updateToolbarState();
+        });
+
+        // A newly opened window asks for the current position
+        this.channel.on('hello', (msg) => {
+            if (this.view !== 'preview') this._broadcastSlide();
+            if (this.view === 'audience') {
+                this.channel.send('annotations', { to: msg.from, slides: this.drawing.serialize() });
+            }
+        });
+        this.channel.send('hello');
+
+        if (this.view === 'preview') this._showPreviewSlide(0);
+    }
+
+    _broadcastSlide() {
+        if (this.view === 'preview') return;
+        this.channel.send('slide', {
+            index: this.currentSlide,
+            fragment: this.fragmentSteps[this.currentSlide]
+        });
+    }
+
+    _onRemoteSlide(index, fragment) {
+        if (this.view === 'preview') {
+            this._showPreviewSlide(index, fragment);
+            return;
+        }
+
+        this._remoteNav = true;
+        this.goTo(index);
+        if (Number.isInteger(fragment)) this.setFragmentStep(fragment);
+        this._remoteNav = false;
+    }
+
+    // Preview frames show the presenter's slide plus their offset ("next" = +1)
+    _showPreviewSlide(index, fragment) {
+        const target = index + this.previewOffset;
+        const pastEnd = target >= this.totalSlides;
+        document.body.classList.toggle('preview-end', pastEnd);
+        if (pastEnd) return;
+
+        this.goTo(target);
+        if (this.previewOffset === 0 && Number.isInteger(fragment)) this.setFragmentStep(fragment);
+    }
+
+    // --- Presenter view ---
+    openPresenterView() {
+        const url = this.viewUrl('presenter');
+        const win = window.open(url, `presenter:${this.deckId}`, 'width=1280,height=760');
+        if (win) win.focus();
+    }
+
+    // URL of this deck in another view, keeping other parameters such as ?deck=
+    viewUrl(view, extra = {}) {
+        const params = new URLSearchParams(location.search);
+        params.delete('offset');
+        params.set('view', view);
+        Object.keys(extra).forEach(k => params.set(k, extra[k]));
+        return `${location.pathname}?${params}`;
+    }
+
+    // --- Annotation persistence ---
+    _initStore() {
+        this.store = new AnnotationStore(this.deckId);
+
+        const saved = this.store.load();
+        if (saved) this.drawing.load(saved);
+
+        // Only the audience window owns the saved annotations
+        if (this.view !== 'audience') return;
+
+        // Flush any pending debounced save before the page goes away
+        // (a session being played back isn't the deck's own annotations)
+        window.addEventListener('beforeunload', () => {
+            if (!this._playingSession()) this.store.saveNow(this.drawing.serialize());
+        });
+    }
+
+    _playingSession() {
+        return !!(this.player && this.player.active);
+    }
+
+    exportAnnotations() {
+        this.store.export(this.drawing.serialize());
+    }
+
+    importAnnotations() {
+        this.store.import().then(({ deck, slides }) => {
+            if (deck && deck !== this.store.deckId &&
+                !confirm(`These annotations were saved for "${deck}". Load them anyway?`)) return;
+
+            this.drawing.load(slides);
+            this.store.saveNow(this.drawing.serialize());
+            this.channel.send('annotations', { slides: this.drawing.serialize() });
+            this._updateToolbarState();
+        }).catch(err => {
+            if (err.message !== 'No file selected') alert(`Could not import annotations: ${err.message}`);
+        });
+    }
+
     // --- Fullscreen ---
     toggleFullscreen() {
         if (!document.fullscreenElement) {
@@ -85,35 +427,173 @@ class Presentation {
 
     // --- UI Updates ---
     _updateCounter() {
-        const el = document.getElementById('slide-counter');
-        if (el) el.textContent = `${this.currentSlide + 1} / ${this.totalSlides}`;
+        if (this.chapters) this.chapters.update();
+        const el = document.getElementById('slide-position');
+        if (!el) return;
+
+        let text = `${this.currentSlide + 1} / ${this.totalSlides}`;
+        const groups = this.fragments[this.currentSlide].length;
+        if (groups > 0) text += ` (${this.fragmentSteps[this.currentSlide]}/${groups})`;
+        el.textContent = text;
     }
 
+    // Progress counts every fragment step as well as every slide
     _updateProgress() {
+        // In kiosk mode the bar counts down the time left on this step instead
+        if (this.kiosk && this.kiosk.active) return;
+
         const el = document.getElementById('progress-bar');
         if (el) {
-            const pct = ((this.currentSlide + 1) / this.totalSlides) * 100;
+            const steps = this.fragments.map(groups => groups.length + 1);
+            const total = steps.reduce((a, b) => a + b, 0);
+            const done = steps.slice(0, this.currentSlide).reduce((a, b) => a + b, 0) +
+                this.fragmentSteps[this.currentSlide] + 1;
+            const pct = (done / total) * 100;
             el.style.width = pct + '%';
         }
     }
 
+    // --- Accessibility ---
+    // Slides are labelled groups and only the current one is exposed to
+    // assistive technology or reachable with Tab; the rest are inert
+    _initAccessibility() {
+        this.slides.forEach((slide, i) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${i + 1} of ${this.totalSlides}`);
+        });
+        this._updateSlideVisibility();
+
+        // Previews sit inside the presenter window, which announces for itself
+        if (this.view === 'preview') return;
+
+        this.announcer = document.createElement('div');
+        this.announcer.id = 'slide-announcer';
+        this.announcer.classList.add('sr-only');
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.announcer.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(this.announcer);
+
+        const help = document.getElementById('help-overlay');
+        if (help) {
+            help.querySelector('.help-close').addEventListener('click', () => this.toggleHelp());
+            help.addEventListener('click', (e) => {
+                if (e.target === help) this.toggleHelp();
+            });
+        }
+    }
+
+    _updateSlideVisibility() {
+        this.slides.forEach((slide, i) => {
+            const hidden = i !== this.currentSlide;
+            slide.toggleAttribute('inert', hidden);
+            if (hidden) {
+                slide.setAttribute('aria-hidden', 'true');
+            } else {
+                slide.removeAttribute('aria-hidden');
+            }
+        });
+    }
+
+    // Read a short message out to screen readers
+    announce(text) {
+        if (this.announcer) this.announcer.textContent = text;
+    }
+
+    // Keep Tab and Shift+Tab cycling inside a modal container
+    _trapFocus(container, e) {
+        const focusable = Array.from(container.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.disabled);
+
+        e.preventDefault();
+        if (focusable.length === 0) return;
+
+        const idx = focusable.indexOf(document.activeElement);
+        const next = e.shiftKey
+            ? (idx <= 0 ? focusable.length - 1 : idx - 1)
+            : (idx + 1) % focusable.length;
+        focusable[next].focus();
+    }
+
     // --- Help ---
+    // A modal dialog: focus moves into it and goes back where it was on close
     toggleHelp() {
         this.helpVisible = !this.helpVisible;
+        if (this.helpVisible) this._buildHelp();
         const el = document.getElementById('help-overlay');
-        if (el) el.classList.toggle('visible', this.helpVisible);
+        if (!el) return;
+        el.classList.toggle('visible', this.helpVisible);
+
+        if (this.helpVisible) {
+            this._helpReturn = document.activeElement;
+            el.querySelector('.help-content').focus();
+        } else {
+            if (this._helpReturn && document.contains(this._helpReturn)) this._helpReturn.focus();
+            this._helpReturn = null;
+        }
+    }
+
+    // Help rows come from the active key bindings, so they can't drift
+    _buildHelp() {
+        const content = document.querySelector('#help-overlay .help-content');
+        if (!content) return;
+        content.querySelectorAll('.help-row, h3').forEach(el => el.remove());
+
+        const row = (key, desc) => {
+            const el = document.createElement('div');
+            el.classList.add('help-row');
+            const k = document.createElement('span');
+            k.classList.add('help-key');
+            k.textContent = key;
+            const d = document.createElement('span');
+            d.classList.add('help-desc');
+            d.textContent = desc;
+            el.append(k, ' ', d);
+            content.appendChild(el);
+        };
+
+        let group = null;
+        this.config.actions().forEach(action => {
+            const keys = this.config.keys[action.id] || [];
+            if (keys.length === 0) return;
+
+            if (action.group !== group) {
+                group = action.group;
+                const h = document.createElement('h3');
+                h.textContent = group;
+                content.appendChild(h);
+            }
+            row(keys.map(k => DeckConfig.label(k)).join(' / '), action.desc);
+        });
+
+        // Touch gestures aren't rebindable
+        const h = document.createElement('h3');
+        h.textContent = 'Touch';
+        content.appendChild(h);
+        row('Swipe', 'Next / previous slide');
+        row('Two-finger tap', 'Undo (in draw mode)');
+        row('Click or tap an image', 'Enlarge it');
+        row('Drag / pinch', 'Pan and zoom an enlarged image');
     }
 
     _flashHelp() {
+        // A broken #deck-config is reported alongside the hint
+        const parts = [];
+        if (this.config.problem) parts.push(this.config.problem);
+        if (this.config.keyLabel('help')) parts.push(`Press ${this.config.keyLabel('help')} for help`);
+        if (parts.length === 0) return;
+
         // Brief hint at bottom
         const hint = document.createElement('div');
+        hint.id = 'help-hint';
         hint.style.cssText = `
             position: fixed; bottom: 20px; left: 30px;
             font-family: 'Segoe UI', sans-serif; font-size: 0.75em;
             color: #5a5650; z-index: 100; letter-spacing: 0.05em;
             transition: opacity 1s ease; user-select: none;
         `;
-        hint.textContent = 'Press H for help';
+        hint.textContent = parts.join(' · ');
         document.body.appendChild(hint);
 
         setTimeout(() => { hint.style.opacity = '0'; }, 4000);
@@ -121,7 +601,16 @@ class Presentation {
     }
 
     // --- Drawing mode ---
+
+    // Annotation layer that drawing and undo act on: the enlarged image, else the slide
+    annotationLayer() {
+        return this.lightbox && this.lightbox.isOpen ? this.lightbox.layer : this.currentSlide;
+    }
+
     toggleDraw() {
+        // The presenter window has no drawable slide of its own
+        if (this.view !== 'audience') return;
+
         const on = this.drawing.toggleDrawMode();
         const indicator = document.getElementById('draw-mode-indicator');
         const toolbar = document.getElementById('drawing-toolbar');
@@ -130,65 +619,157 @@ class Presentation {
         if (toolbar) toolbar.classList.toggle('visible', on);
 
         this._updateToolbarState();
+        this.announce(on ? 'Draw mode on' : 'Draw mode off');
+    }
+
+    toggleLaser() {
+        this.laser.toggle();
+        this._updateToolbarState();
     }
 
     _updateToolbarState() {
         // Update active tool button
         document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tool === this.drawing.currentTool);
+            const active = btn.dataset.tool === this.drawing.currentTool;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
         });
 
         // Update active color swatch
         document.querySelectorAll('.color-swatch').forEach(sw => {
-            sw.classList.toggle('active', sw.dataset.color === this.drawing.currentColor);
+            const active = sw.dataset.color === this.drawing.currentColor;
+            sw.classList.toggle('active', active);
+            sw.setAttribute('aria-pressed', String(active));
         });
+
+        // Text size only applies to the text tools
+        const sizeBtn = document.querySelector('.tool-btn[data-action="text-size"]');
+        if (sizeBtn) {
+            const sizes = this.drawing.textSizes;
+            const idx = Math.max(0, sizes.indexOf(this.drawing.lineWidth));
+            sizeBtn.textContent = ['S', 'M', 'L'][idx] || 'A';
+            sizeBtn.setAttribute('aria-label', `Text size: ${['small', 'medium', 'large'][idx] || sizes[idx]}`);
+            sizeBtn.disabled = !this.drawing.isTextTool();
+        }
+
+        const laserBtn = document.querySelector('.tool-btn[data-action="laser"]');
+        if (laserBtn) {
+            laserBtn.classList.toggle('active', this.laser.active);
+            laserBtn.setAttribute('aria-pressed', String(this.laser.active));
+        }
+
+        // Width slider follows the tool; spotlight and magnifier have no width
+        const slider = document.querySelector('#drawing-toolbar .width-slider');
+        if (slider) {
+            slider.value = this.drawing.lineWidth;
+            slider.disabled = !!this.drawing.tools[this.drawing.currentTool].transient;
+        }
+
+        // Enable history buttons only when there is something to act on
+        const slide = this.annotationLayer();
+        const toolbar = document.getElementById('drawing-toolbar');
+        if (!toolbar) return;
+        const undoBtn = toolbar.querySelector('[data-action="undo"]');
+        const redoBtn = toolbar.querySelector('[data-action="redo"]');
+        const clearBtn = toolbar.querySelector('[data-action="clear"]');
+        if (undoBtn) undoBtn.disabled = !this.drawing.canUndo(slide);
+        if (redoBtn) redoBtn.disabled = !this.drawing.canRedo(slide);
+        if (clearBtn) clearBtn.disabled = !this.drawing.hasStrokes(slide);
     }
 
     // --- Build toolbar DOM ---
     _buildToolbar() {
         const toolbar = document.getElementById('drawing-toolbar');
         if (!toolbar) return;
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Drawing tools');
+
+        // A mouse click shouldn't leave focus on a button, or Space would press it
+        // again instead of moving on; keyboard users still Tab to every control
+        toolbar.addEventListener('mousedown', (e) => {
+            if (e.target.closest('button')) e.preventDefault();
+        });
 
         const tools = [
-            { name: 'pen',         icon: '✏️', key: '1' },
-            { name: 'circle',      icon: '⭕', key: '2' },
-            { name: 'arrow',       icon: '➡️', key: '3' },
-            { name: 'highlighter', icon: '🖍️', key: '4' },
-            { name: 'eraser',      icon: '🧹', key: '5' },
+            { name: 'pen',         icon: '✏️' },
+            { name: 'circle',      icon: '⭕' },
+            { name: 'arrow',       icon: '➡️' },
+            { name: 'highlighter', icon: '🖍️' },
+            { name: 'eraser',      icon: '🧹' },
+            { name: 'text',        icon: '🔤' },
+            { name: 'note',        icon: '🗒️' },
+            { name: 'rect',        icon: '⬜' },
+            { name: 'line',        icon: '📏' },
+            { name: 'spotlight',   icon: '🔦' },
+            { name: 'magnifier',   icon: '🔍' },
         ];
 
         // Tool buttons
-        tools.forEach(t => {
-            const btn = document.createElement('button');
-            btn.classList.add('tool-btn');
-            btn.dataset.tool = t.name;
-            btn.title = `${t.name} (${t.key})`;
-            btn.textContent = t.icon;
-            btn.addEventListener('click', () => {
-                this.drawing.setTool(t.name);
-                this._updateToolbarState();
-            });
-            toolbar.appendChild(btn);
+        tools.forEach(t => this._addToolButton(t.name, t.icon));
+
+        // Tools registered later (plugins) get a button and, if given, a key
+        this.drawing.on('toolregistered', ({ name, tool }) => {
+            if (tool.key) {
+                this.addAction({ id: name, desc: tool.label || name, group: 'Drawing', drawOnly: true, keys: [tool.key] });
+            }
+            this._addToolButton(name, tool.icon || name.charAt(0).toUpperCase());
+            this._updateToolbarState();
+        });
+
+        // Text size
+        const sizeBtn = document.createElement('button');
+        sizeBtn.classList.add('tool-btn');
+        sizeBtn.dataset.action = 'text-size';
+        this._label(sizeBtn, `Text size${this._keyHint('textSize')}`);
+        sizeBtn.addEventListener('click', () => {
+            this.drawing.cycleTextSize();
+            this._updateToolbarState();
         });
+        toolbar.appendChild(sizeBtn);
+
+        // Stroke width (font size for the text tools), remembered per tool
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.classList.add('width-slider');
+        slider.min = 1;
+        slider.max = 60;
+        this._label(slider, 'Stroke width');
+        slider.addEventListener('input', () => {
+            this.drawing.setWidth(Number(slider.value));
+            this._updateToolbarState();
+        });
+        slider.addEventListener('change', () => {
+            this.config.set(`widths.${this.drawing.currentTool}`, this.drawing.lineWidth);
+        });
+        toolbar.appendChild(slider);
 
         // Separator
         const sep = document.createElement('div');
         sep.classList.add('tool-separator');
         toolbar.appendChild(sep);
 
-        // Color swatches
-        this.drawing.colors.forEach(color => {
-            const sw = document.createElement('div');
-            sw.classList.add('color-swatch');
-            sw.dataset.color = color;
-            sw.style.background = color;
-            sw.title = color;
-            sw.addEventListener('click', () => {
-                this.drawing.setColor(color);
-                this._updateToolbarState();
-            });
-            toolbar.appendChild(sw);
+        // Color swatches, then a picker for any other colour
+        const swatches = document.createElement('div');
+        swatches.classList.add('color-swatches');
+        toolbar.appendChild(swatches);
+        this._buildSwatches();
+
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.classList.add('color-picker');
+        this._label(picker, 'Custom colour');
+        picker.value = this.drawing.currentColor;
+        picker.addEventListener('input', () => {
+            this.drawing.setColor(picker.value);
+            this._updateToolbarState();
         });
+        picker.addEventListener('change', () => {
+            // Picked colours join the palette and are remembered
+            this.config.addColor(picker.value);
+            this.drawing.configure(this.config);
+            this._buildSwatches();
+        });
+        toolbar.appendChild(picker);
 
         // Separator
         const sep2 = document.createElement('div');
@@ -198,126 +779,375 @@ class Presentation {
         // Undo button
         const undoBtn = document.createElement('button');
         undoBtn.classList.add('tool-btn');
-        undoBtn.title = 'Undo (Ctrl+Z)';
+        undoBtn.dataset.action = 'undo';
+        this._label(undoBtn, `Undo${this._keyHint('undo')}`);
         undoBtn.textContent = '↩️';
         undoBtn.addEventListener('click', () => {
-            this.drawing.undo(this.currentSlide);
+            this.drawing.undo(this.annotationLayer());
         });
         toolbar.appendChild(undoBtn);
 
+        // Redo button
+        const redoBtn = document.createElement('button');
+        redoBtn.classList.add('tool-btn');
+        redoBtn.dataset.action = 'redo';
+        this._label(redoBtn, `Redo${this._keyHint('redo')}`);
+        redoBtn.textContent = '↪️';
+        redoBtn.addEventListener('click', () => {
+            this.drawing.redo(this.annotationLayer());
+        });
+        toolbar.appendChild(redoBtn);
+
         // Clear button
         const clearBtn = document.createElement('button');
         clearBtn.classList.add('tool-btn');
-        clearBtn.title = 'Clear slide (Ctrl+Del)';
+        clearBtn.dataset.action = 'clear';
+        this._label(clearBtn, `Clear slide${this._keyHint('clear')}`);
         clearBtn.textContent = '🗑️';
         clearBtn.addEventListener('click', () => {
-            this.drawing.clearSlide(this.currentSlide);
+            this.drawing.clearSlide(this.annotationLayer());
         });
         toolbar.appendChild(clearBtn);
 
+        // Separator
+        const sep3 = document.createElement('div');
+        sep3.classList.add('tool-separator');
+        toolbar.appendChild(sep3);
+
+        // Laser pointer (independent of the selected tool)
+        const laserBtn = document.createElement('button');
+        laserBtn.classList.add('tool-btn');
+        laserBtn.dataset.action = 'laser';
+        this._label(laserBtn, `Laser pointer${this._keyHint('laser')}`);
+        laserBtn.textContent = '🔴';
+        laserBtn.addEventListener('click', () => this.toggleLaser());
+        toolbar.appendChild(laserBtn);
+
+        // Export / import annotations
+        const exportBtn = document.createElement('button');
+        exportBtn.classList.add('tool-btn');
+        this._label(exportBtn, 'Export annotations (JSON)');
+        exportBtn.textContent = '💾';
+        exportBtn.addEventListener('click', () => this.exportAnnotations());
+        toolbar.appendChild(exportBtn);
+
+        const importBtn = document.createElement('button');
+        importBtn.classList.add('tool-btn');
+        this._label(importBtn, 'Import annotations (JSON)');
+        importBtn.textContent = '📂';
+        importBtn.addEventListener('click', () => this.importAnnotations());
+        toolbar.appendChild(importBtn);
+
+        this._updateToolbarState();
+    }
+
+    // Icon-only controls are named by their tooltip rather than the emoji they show
+    _label(el, text) {
+        el.title = text;
+        el.setAttribute('aria-label', text);
+    }
+
+    // Tooltips show whatever key is currently bound
+    _keyHint(action, suffix = '') {
+        const key = this.config.keyLabel(action);
+        return key ? ` (${key}${suffix})` : '';
+    }
+
+    // Tool buttons sit before the text-size button
+    _addToolButton(name, icon) {
+        const toolbar = document.getElementById('drawing-toolbar');
+        const btn = document.createElement('button');
+        btn.classList.add('tool-btn');
+        btn.dataset.tool = name;
+        const label = (this.drawing.tools[name] && this.drawing.tools[name].label) || name;
+        this._label(btn, label.charAt(0).toUpperCase() + label.slice(1) +
+            (name === 'note' ? this._keyHint('text', ' again') : this._keyHint(name)));
+        btn.textContent = icon;
+        btn.addEventListener('click', () => {
+            this.drawing.setTool(name);
+            this._updateToolbarState();
+        });
+        toolbar.insertBefore(btn, toolbar.querySelector('[data-action="text-size"]'));
+    }
+
+    _buildSwatches() {
+        const swatches = document.querySelector('#drawing-toolbar .color-swatches');
+        if (!swatches) return;
+        swatches.replaceChildren();
+
+        this.drawing.colors.forEach(color => {
+            const sw = document.createElement('button');
+            sw.classList.add('color-swatch');
+            sw.dataset.color = color;
+            sw.style.background = color;
+            this._label(sw, `Colour ${color}`);
+            sw.addEventListener('click', () => {
+                this.drawing.setColor(color);
+                this._updateToolbarState();
+            });
+            swatches.appendChild(sw);
+        });
         this._updateToolbarState();
     }
 
     // --- Keyboard bindings ---
+    // Keys are looked up in the config (see DeckConfig) rather than listed here
     _bindKeyboard() {
         document.addEventListener('keydown', (e) => {
             // Don't intercept if typing in an input
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
-            const key = e.key;
-            const ctrl = e.ctrlKey || e.metaKey;
-
-            // Help
-            if (key === 'h' || key === 'H') {
-                e.preventDefault();
-                this.toggleHelp();
+            // The lightbox keeps Tab among its own buttons
+            if (this.lightbox.isOpen && e.key === 'Tab') {
+                this._trapFocus(this.lightbox.el, e);
                 return;
             }
 
-            // Close help if visible
-            if (this.helpVisible && key === 'Escape') {
-                this.toggleHelp();
+            // Help is modal: Tab stays inside it and only closing keys work
+            if (this.helpVisible) {
+                const help = document.getElementById('help-overlay');
+                if (e.key === 'Tab') this._trapFocus(help, e);
+                const action = this.config.actionFor(e, false);
+                if (action === 'back' || action === 'help') {
+                    e.preventDefault();
+                    this.runAction(action);
+                }
                 return;
             }
 
-            // Fullscreen
-            if (key === 'f' || key === 'F') {
-                e.preventDefault();
-                this.toggleFullscreen();
-                return;
-            }
+            // Enter and Space press a focused button rather than navigate
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.tagName === 'BUTTON') return;
 
-            // Draw mode toggle
-            if (key === 'd' || key === 'D') {
-                e.preventDefault();
-                this.toggleDraw();
+            // Overview grid takes over navigation keys while open
+            if (this.overview.isOpen) {
+                this.overview.handleKey(e);
                 return;
             }
 
-            // Escape exits draw mode
-            if (key === 'Escape') {
-                if (this.drawing.drawMode) {
-                    this.drawing.setDrawMode(false);
-                    document.getElementById('draw-mode-indicator')?.classList.remove('visible');
-                    document.getElementById('drawing-toolbar')?.classList.remove('visible');
-                }
+            if (this.chapters.isOpen) {
+                this.chapters.handleKey(e);
                 return;
             }
 
-            // Drawing tool shortcuts (only in draw mode)
-            if (this.drawing.drawMode) {
-                if (key === '1') { this.drawing.setTool('pen'); this._updateToolbarState(); return; }
-                if (key === '2') { this.drawing.setTool('circle'); this._updateToolbarState(); return; }
-                if (key === '3') { this.drawing.setTool('arrow'); this._updateToolbarState(); return; }
-                if (key === '4') { this.drawing.setTool('highlighter'); this._updateToolbarState(); return; }
-                if (key === '5') { this.drawing.setTool('eraser'); this._updateToolbarState(); return; }
+            const action = this.config.actionFor(e, this.drawing.drawMode);
+            if (!action) return;
+            e.preventDefault();
+            this.runAction(action);
+        });
+    }
 
-                if (key === 'c' || key === 'C') {
-                    this.drawing.cycleColor();
-                    this._updateToolbarState();
-                    return;
+    // Perform a bound action by name (the ids in DeckConfig.actions())
+    runAction(action) {
+        switch (action) {
+            // With an image enlarged, these step through the slide's images instead
+            case 'next':
+                if (this.lightbox.isOpen) {
+                    this.lightbox.step(1);
+                } else {
+                    this.next();
                 }
+                break;
 
-                if (ctrl && key === 'z') {
-                    e.preventDefault();
-                    this.drawing.undo(this.currentSlide);
-                    return;
+            case 'prev':
+                if (this.lightbox.isOpen) {
+                    this.lightbox.step(-1);
+                } else {
+                    this.prev();
                 }
+                break;
 
-                if (ctrl && key === 'Delete') {
-                    e.preventDefault();
-                    this.drawing.clearSlide(this.currentSlide);
-                    return;
-                }
-            }
+            case 'overview':
+                this.overview.open();
+                break;
 
-            // Navigation (don't navigate in draw mode to prevent accidental moves)
-            if (!this.drawing.drawMode) {
-                if (key === 'ArrowRight' || key === ' ' || key === 'PageDown') {
-                    e.preventDefault();
-                    this.next();
+            case 'nextChapter':
+                this.chapters.next();
+                break;
+
+            case 'prevChapter':
+                this.chapters.prev();
+                break;
+
+            case 'agenda':
+                this.chapters.toggle();
+                break;
+
+            // Close help or the rehearsal report, else exit draw mode, else close
+            // an enlarged image, else open the overview
+            case 'back':
+                if (this.helpVisible) {
+                    this.toggleHelp();
+                } else if (this.rehearsal.reportOpen) {
+                    this.rehearsal.closeReport();
+                } else if (this.drawing.drawMode) {
+                    this.toggleDraw();
+                } else if (this.lightbox.isOpen) {
+                    this.lightbox.close();
+                } else {
+                    this.overview.open();
                 }
-                if (key === 'ArrowLeft' || key === 'PageUp') {
-                    e.preventDefault();
-                    this.prev();
+                break;
+
+            case 'images':
+                this.lightbox.focusNext();
+                break;
+
+            case 'zoomIn':
+                this.lightbox.zoomBy(1.25);
+                break;
+
+            case 'zoomOut':
+                this.lightbox.zoomBy(1 / 1.25);
+                break;
+
+            case 'zoomReset':
+                this.lightbox.resetZoom();
+                break;
+
+            case 'fullscreen':
+                this.toggleFullscreen();
+                break;
+
+            case 'presenter':
+                if (this.view === 'audience') this.openPresenterView();
+                break;
+
+            case 'exportPng':
+                this.exporter.exportPNG();
+                break;
+
+            case 'print':
+                this.exporter.print();
+                break;
+
+            case 'laser':
+                this.toggleLaser();
+                break;
+
+            case 'rehearse':
+                this.rehearsal.toggle();
+                break;
+
+            case 'record':
+                this.recorder.toggle();
+                break;
+
+            case 'playSession':
+                this.player.choose();
+                break;
+
+            case 'kiosk':
+                if (this.kiosk) this.kiosk.toggle();
+                break;
+
+            case 'kioskPause':
+                if (this.kiosk) this.kiosk.togglePause();
+                break;
+
+            case 'draw':
+                this.toggleDraw();
+                break;
+
+            case 'help':
+                this.toggleHelp();
+                break;
+
+            // The text key again switches to sticky notes and back
+            case 'text':
+                this.drawing.setTool(this.drawing.currentTool === 'text' ? 'note' : 'text');
+                this._updateToolbarState();
+                break;
+
+            case 'textSize':
+                this.drawing.cycleTextSize();
+                this._updateToolbarState();
+                break;
+
+            case 'cycleColor':
+                this.drawing.cycleColor();
+                this._updateToolbarState();
+                break;
+
+            case 'undo':
+                this.drawing.undo(this.annotationLayer());
+                break;
+
+            case 'redo':
+                this.drawing.redo(this.annotationLayer());
+                break;
+
+            case 'clear':
+                this.drawing.clearSlide(this.annotationLayer());
+                break;
+
+            default:
+                // Plugin actions, then tool shortcuts (named after the tool)
+                if (this.actionHandlers.has(action)) {
+                    this.actionHandlers.get(action)(this);
+                } else if (this.drawing.tools[action]) {
+                    this.drawing.setTool(action);
+                    this._updateToolbarState();
                 }
+        }
+    }
+
+    // --- Touch swipe navigation (outside draw mode) ---
+    _bindSwipe() {
+        const container = document.getElementById('presentation');
+        if (!container) return;
+
+        let start = null;
+
+        container.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' || this.drawing.drawMode) return;
+            start = { id: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp };
+        });
+
+        container.addEventListener('pointerup', (e) => {
+            if (!start || e.pointerId !== start.id) return;
+
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            const quick = e.timeStamp - start.time < 800;
+            start = null;
+
+            // Mostly horizontal, long enough and quick enough to be a swipe
+            if (!quick || Math.abs(dx) < 50 || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+            if (dx < 0) {
+                this.next();
+            } else {
+                this.prev();
             }
         });
+
+        container.addEventListener('pointercancel', () => { start = null; });
     }
 
     // --- Resize ---
+    // Slides and annotations keep their virtual size; only the scale changes
     _bindResize() {
-        let timeout;
         window.addEventListener('resize', () => {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => {
-                this.drawing.resize();
-            }, 200);
+            this.scaler.fit();
+            this._fitDrawing();
         });
     }
+
+    // Annotation canvases get a pixel for every screen pixel the slide covers
+    _fitDrawing() {
+        this.drawing.setPixelRatio(this.scaler.scale * (window.devicePixelRatio || 1));
+    }
 }
 
+Presentation.plugins = [];
+
 // --- Boot ---
 document.addEventListener('DOMContentLoaded', () => {
-    window.pres = new Presentation();
+    const container = document.getElementById('presentation');
+
+    // Build slides from a Markdown/JSON source first, if the deck has one
+    DeckSource.load(container)
+        .catch(err => DeckSource.showError(container, err))
+        .then(() => {
+            window.pres = new Presentation();
+        });
 });
@@ -0,0 +1,110 @@
+/* ============================================
+   ANNOTATION STORAGE
+   Persist slide annotations in localStorage
+   and export/import them as JSON files
+   ============================================ */
+
+class AnnotationStore {
+    constructor(deckId) {
+        this.deckId = deckId;
+        this.key = `annotations:${deckId}`;
+        this.version = 1;
+        this.saveDelay = 300;
+        this._saveTimer = null;
+    }
+
+    // Read saved strokes for this deck ({ slideIndex: [strokes] } or null)
+    load() {
+        const data = LocalData.read(this.key);
+        if (!data) return null;
+        try {
+            return this._validate(data).slides;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Debounced save, so a burst of strokes/undos writes once
+    save(slides) {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = setTimeout(() => this.saveNow(slides), this.saveDelay);
+    }
+
+    saveNow(slides) {
+        clearTimeout(this._saveTimer);
+        LocalData.write(this.key, this._wrap(slides));
+    }
+
+    clear() {
+        LocalData.remove(this.key);
+    }
+
+    // --- Export / import ---
+
+    export(slides) {
+        const json = JSON.stringify(this._wrap(slides), null, 2);
+        LocalData.download(new Blob([json], { type: 'application/json' }), `${this.deckId}-annotations.json`);
+    }
+
+    // Ask the user for a JSON file; resolves with { slides, deck } or rejects,
+    // with 'No file selected' if the picker is cancelled
+    import() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return reject(new Error('No file selected'));
+
+                file.text().then(text => this.parse(text)).then(resolve, reject);
+            });
+            input.addEventListener('cancel', () => reject(new Error('No file selected')));
+            input.click();
+        });
+    }
+
+    // Validate an exported document and return { deck, slides }
+    parse(text) {
+        return this._validate(JSON.parse(text));
+    }
+
+    _validate(data) {
+        if (!data || typeof data !== 'object' || !data.slides || typeof data.slides !== 'object') {
+            throw new Error('Not an annotation file');
+        }
+        if (data.version > this.version) {
+            throw new Error(`Unsupported annotation file version ${data.version}`);
+        }
+
+        const slides = {};
+        Object.keys(data.slides).forEach(idx => {
+            const strokes = data.slides[idx];
+            if (Array.isArray(strokes)) {
+                slides[idx] = strokes.filter(s => this._isStroke(s));
+            }
+        });
+
+        return { deck: data.deck, slides };
+    }
+
+    _wrap(slides) {
+        return {
+            deck: this.deckId,
+            version: this.version,
+            saved: new Date().toISOString(),
+            slides
+        };
+    }
+
+    _isStroke(s) {
+        return !!s &&
+            typeof s.tool === 'string' &&
+            typeof s.color === 'string' &&
+            typeof s.width === 'number' &&
+            (s.text === undefined || typeof s.text === 'string') &&
+            Array.isArray(s.points) &&
+            s.points.every(p => Array.isArray(p) && p.length >= 2 &&
+                typeof p[0] === 'number' && typeof p[1] === 'number');
+    }
+}
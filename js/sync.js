@@ -0,0 +1,38 @@
+/* ============================================
+   DECK CHANNEL
+   Cross-window messaging between open copies
+   of the same deck (audience, presenter, previews)
+   ============================================ */
+
+class DeckChannel {
+    constructor(deckId) {
+        this.id = Math.random().toString(36).slice(2);
+        this.handlers = new Map();      // message type -> array of handlers
+        this.channel = null;
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(`deck:${deckId}`);
+            this.channel.addEventListener('message', (e) => this._dispatch(e.data));
+        }
+    }
+
+    on(type, handler) {
+        if (!this.handlers.has(type)) this.handlers.set(type, []);
+        this.handlers.get(type).push(handler);
+    }
+
+    send(type, payload = {}) {
+        if (!this.channel) return;
+        this.channel.postMessage({ ...payload, type, from: this.id });
+    }
+
+    close() {
+        if (this.channel) this.channel.close();
+        this.channel = null;
+    }
+
+    _dispatch(msg) {
+        if (!msg || msg.from === this.id) return;
+        (this.handlers.get(msg.type) || []).forEach(h => h(msg));
+    }
+}
@@ -0,0 +1,121 @@
+/* ============================================
+   SLIDE TRANSITIONS
+   Named enter/exit animations between slides,
+   chosen per deck or per slide
+   ============================================ */
+
+/*
+   A slide's transition comes from data-transition on its <section>, then
+   data-transition on #presentation, then 'slide'. Built in:
+
+       none  fade  slide  zoom  vertical
+
+   A transition is a pair of transforms: where the incoming slide starts
+   (from) and where the outgoing slide ends up (to). Both receive the
+   direction of travel, 1 forward and -1 back. Opacity always fades, and
+   the timing comes from the .slide rule in the stylesheet. More can be
+   added with register(name, { from, to }).
+
+   Only one transition runs at a time: navigating again before it ends
+   snaps the running one to its end state first, so no slide is left
+   half-faded or carrying a stale .exiting class.
+*/
+
+class SlideTransitions {
+    constructor() {
+        this.types = new Map();
+        this.running = null;            // { el, done } for the slide still exiting
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : { matches: false };
+
+        this.register('none', null);
+        this.register('fade', { from: () => 'none', to: () => 'none' });
+        this.register('slide', { from: d => `translateX(${d * 40}px)`, to: d => `translateX(${d * -40}px)` });
+        this.register('zoom', { from: d => `scale(${d > 0 ? 0.92 : 1.08})`, to: d => `scale(${d > 0 ? 1.08 : 0.92})` });
+        this.register('vertical', { from: d => `translateY(${d * 40}px)`, to: d => `translateY(${d * -40}px)` });
+    }
+
+    register(name, transition) {
+        this.types.set(name, transition);
+    }
+
+    // Transition used when arriving at a slide
+    nameFor(slide) {
+        const container = document.getElementById('presentation');
+        const name = slide.dataset.transition || (container && container.dataset.transition) || 'slide';
+        return this.types.has(name) ? name : 'slide';
+    }
+
+    // Swap the active slide from `current` to `next`; direction is 1 or -1
+    run(current, next, direction) {
+        this.finish();
+
+        const name = this.reducedMotion.matches ? 'none' : this.nameFor(next);
+        const type = this.types.get(name);
+
+        if (!type) {
+            this._instant(current, next);
+            return;
+        }
+
+        // Put the incoming slide at its start point without animating there
+        next.style.transition = 'none';
+        next.style.transform = type.from(direction);
+        next.offsetHeight;
+        next.style.transition = '';
+
+        current.classList.remove('active');
+        current.classList.add('exiting');
+        current.style.transform = type.to(direction);
+        next.classList.add('active');
+        next.style.transform = '';
+
+        const done = () => {
+            current.removeEventListener('transitionend', onEnd);
+            current.removeEventListener('transitioncancel', onEnd);
+            current.classList.remove('exiting');
+            current.style.transform = '';
+            if (this.running && this.running.el === current) this.running = null;
+        };
+        const onEnd = (e) => {
+            if (e.target === current && e.propertyName === 'opacity') done();
+        };
+
+        // Without an animated opacity no transitionend will come, so finish now
+        if (!this._animates(current)) {
+            done();
+            return;
+        }
+
+        current.addEventListener('transitionend', onEnd);
+        current.addEventListener('transitioncancel', onEnd);
+        this.running = { el: current, done };
+    }
+
+    // Jump a running transition to its end state
+    finish() {
+        if (!this.running) return;
+        const { el, done } = this.running;
+        el.style.transition = 'none';
+        done();
+        el.offsetHeight;
+        el.style.transition = '';
+    }
+
+    _instant(current, next) {
+        [current, next].forEach(el => { el.style.transition = 'none'; });
+        current.classList.remove('active');
+        next.classList.add('active');
+        next.offsetHeight;
+        [current, next].forEach(el => { el.style.transition = ''; });
+    }
+
+    _animates(el) {
+        const style = getComputedStyle(el);
+        const props = style.transitionProperty.split(',').map(s => s.trim());
+        const durations = style.transitionDuration.split(',').map(s => parseFloat(s) || 0);
+        return props.some((prop, i) =>
+            (prop === 'opacity' || prop === 'all') && durations[i % durations.length] > 0);
+    }
+}
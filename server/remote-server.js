@@ -0,0 +1,321 @@
+/* ============================================
+   REMOTE CONTROL SERVER
+   Serves the deck on the LAN and relays commands
+   from the phone remote to every open display
+
+   Usage:  node server/remote-server.js [port]
+   No dependencies beyond Node itself.
+   ============================================ */
+
+/*
+   Displays open index.html?remote; the remote is /remote.html. Both talk
+   JSON over a WebSocket at /ws:
+
+       { type: 'hello', role: 'display' | 'remote', deck, index, fragment }
+       { type: 'state', deck, index, fragment, total, title }      display -> all
+       { type: 'command', deck, command, ... }                     remote -> displays
+
+   Commands: next, prev, goto (index, 0-based), draw, laser (x, y as 0..1 of the slide,
+   or on: false to hide it).
+
+   Navigation commands go to one display per deck (the longest connected);
+   its new state is then relayed so every other display follows. Draw and
+   laser commands go to all of them.
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.argv[2], 10) || parseInt(process.env.PORT, 10) || 8080;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;  // messages are small JSON; anything bigger is refused
+
+// Only the deck itself is served, never .git, the server or other repo files
+const PUBLIC_FILES = new Set(['index.html', 'remote.html']);
+const PUBLIC_DIRS = new Set(['css', 'js', 'decks', 'pictures', 'slides-pictures']);
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+const clients = new Set();      // every open WebSocket connection
+const states = new Map();       // deck id -> last state reported by a display
+
+// --- Static files ---
+
+function serveFile(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let file;
+    try {
+        file = decodeURIComponent(url.pathname);
+    } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+    if (file.endsWith('/')) file += 'index.html';
+
+    const full = path.join(ROOT, file);
+    if (!full.startsWith(ROOT + path.sep) || !isPublic(path.relative(ROOT, full))) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(full, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': TYPES[path.extname(full).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    });
+}
+
+// A top-level deck file, or something inside a deck folder with no dotfile on the way
+function isPublic(relative) {
+    const parts = relative.split(path.sep);
+    if (parts.some(p => p === '' || p.startsWith('.'))) return false;
+    return parts.length === 1 ? PUBLIC_FILES.has(parts[0]) : PUBLIC_DIRS.has(parts[0]);
+}
+
+// --- WebSocket connections ---
+
+class Client {
+    constructor(socket) {
+        this.socket = socket;
+        this.role = null;
+        this.deck = null;
+        this.buffer = Buffer.alloc(0);
+        this.connected = Date.now();
+        this.closing = false;
+
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('close', () => this._onClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(msg) {
+        if (this.socket.destroyed) return;
+        this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(msg))));
+    }
+
+    _onData(chunk) {
+        if (this.closing) return;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(this.buffer))) {
+            if (frame.tooBig) {
+                this._close(1009);
+                return;
+            }
+            this.buffer = this.buffer.subarray(frame.length);
+
+            if (frame.opcode === 0x8) {
+                this.socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                return;
+            }
+            if (frame.opcode === 0x9) {
+                this.socket.write(encodeFrame(0xA, frame.payload));
+                continue;
+            }
+            if (frame.opcode !== 0x1) continue;
+
+            let msg;
+            try {
+                msg = JSON.parse(frame.payload.toString('utf8'));
+            } catch (err) {
+                continue;
+            }
+            handleMessage(this, msg);
+        }
+
+        // A frame still arriving can't be bigger than the largest one accepted
+        if (this.buffer.length > MAX_PAYLOAD + 14) this._close(1009);
+    }
+
+    // Close with a status code (1009: message too big) and drop what was buffered
+    _close(code) {
+        const status = Buffer.alloc(2);
+        status.writeUInt16BE(code, 0);
+        this.closing = true;
+        this.buffer = Buffer.alloc(0);
+        this.socket.end(encodeFrame(0x8, status));
+    }
+
+    _onClose() {
+        clients.delete(this);
+        log(`${this.role || 'client'} disconnected`);
+    }
+}
+
+function handleMessage(client, msg) {
+    // Valid JSON isn't necessarily a message: null, numbers, strings
+    if (!msg || typeof msg !== 'object') return;
+
+    switch (msg.type) {
+        case 'hello': {
+            client.role = msg.role === 'remote' ? 'remote' : 'display';
+            client.deck = msg.deck || null;
+            log(`${client.role} connected${client.deck ? ` (${client.deck})` : ''}`);
+
+            if (client.role === 'remote') {
+                // Bring the remote up to date with every deck being shown
+                states.forEach(state => client.send(state));
+            } else if (states.has(client.deck)) {
+                // A display joining late follows the others
+                client.send(states.get(client.deck));
+            } else {
+                setState({ type: 'state', deck: client.deck, index: msg.index || 0, fragment: msg.fragment || 0,
+                    total: msg.total, title: msg.title }, client);
+            }
+            break;
+        }
+
+        case 'state':
+            if (client.role === 'display') setState({ ...msg, deck: client.deck }, client);
+            break;
+
+        case 'command':
+            if (client.role === 'remote') relayCommand(msg);
+            break;
+    }
+}
+
+// Record a display's position and pass it on, unless nothing changed
+function setState(state, from) {
+    const prev = states.get(state.deck);
+    if (prev && prev.index === state.index && prev.fragment === state.fragment) return;
+
+    states.set(state.deck, state);
+    clients.forEach(c => {
+        if (c !== from && (c.role === 'remote' || c.deck === state.deck)) c.send(state);
+    });
+}
+
+function relayCommand(msg) {
+    const deck = msg.deck || (states.size === 1 ? states.keys().next().value : null);
+    const displays = Array.from(clients)
+        .filter(c => c.role === 'display' && (deck === null || c.deck === deck))
+        .sort((a, b) => a.connected - b.connected);
+    if (displays.length === 0) return;
+
+    const navigation = ['next', 'prev', 'goto'].includes(msg.command);
+    (navigation ? displays.slice(0, 1) : displays).forEach(c => c.send(msg));
+}
+
+// --- WebSocket framing (RFC 6455, text frames only) ---
+
+function decodeFrame(buf) {
+    if (buf.length < 2) return null;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (len === 126) {
+        if (buf.length < 4) return null;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+    } else if (len === 127) {
+        if (buf.length < 10) return null;
+        len = Number(buf.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (len > MAX_PAYLOAD) return { tooBig: true };
+
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < offset + maskLen + len) return null;
+
+    const payload = Buffer.from(buf.subarray(offset + maskLen, offset + maskLen + len));
+    if (masked) {
+        const mask = buf.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    return { opcode, payload, length: offset + maskLen + len };
+}
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function upgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws' || !key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    clients.add(new Client(socket));
+}
+
+// --- Startup ---
+
+function log(text) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${text}`);
+}
+
+function lanAddresses() {
+    const out = [];
+    Object.values(os.networkInterfaces()).forEach(list => {
+        (list || []).forEach(addr => {
+            if (addr.family === 'IPv4' && !addr.internal) out.push(addr.address);
+        });
+    });
+    return out.length ? out : ['localhost'];
+}
+
+const server = http.createServer(serveFile);
+server.on('upgrade', upgrade);
+server.listen(PORT, () => {
+    const host = lanAddresses()[0];
+    console.log('Remote control server running');
+    console.log(`  Display: http://${host}:${PORT}/index.html?remote`);
+    console.log(`  Remote:  http://${host}:${PORT}/remote.html`);
+});